@@ -0,0 +1,445 @@
+#!/usr/bin/env node
+
+const chalk = require('chalk');
+const { Command, Option, InvalidArgumentError } = require('commander');
+const CertificateSharing = require('./index');
+const { EXIT, config, DEFAULT_PROFILE } = CertificateSharing;
+const pkg = require('./package.json');
+
+// Flag parsers
+const toInt = (min) => (value) => {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min) throw new InvalidArgumentError(`harus angka bulat >= ${min}`);
+  return n;
+};
+
+// Flags that map onto persisted config keys: applied as per-run overrides only
+function applyConfigFlags(opts) {
+  if (opts.sheetId) {
+    config.override('sheetId', opts.sheetId);
+    config.override('sourceFile', '');
+  }
+  if (opts.sheetName) config.override('sheetName', opts.sheetName);
+  if (opts.sourceFile) config.override('sourceFile', require('path').resolve(opts.sourceFile));
+  if (opts.sourceSheet) config.override('sourceSheet', opts.sourceSheet);
+  if (opts.parentFolder !== undefined) config.override('parentFolderId', opts.parentFolder);
+  if (opts.role) config.override('role', opts.role);
+  if (opts.dryRun !== undefined) config.override('dryRun', opts.dryRun);
+}
+
+// Flags that features read from env first: set the env var (flag > env > config)
+function applyEnvFlags(opts) {
+  const env = {
+    maxPerRun: 'MAX_PER_RUN',
+    interval: 'POLL_INTERVAL',
+    shardIndex: 'SHARD_INDEX',
+    shardTotal: 'SHARD_TOTAL',
+    notifyTemplate: 'NOTIFY_TEMPLATE',
+    uploadDir: 'UPLOAD_DIR',
+    folderDepth: 'FOLDER_MAX_DEPTH',
+    shareMode: 'SHARE_MODE',
+    fileExt: 'FILE_EXTENSIONS',
+    filePattern: 'FILE_NAME_PATTERN',
+    allowDomains: 'EMAIL_ALLOW_DOMAINS',
+    denyDomains: 'EMAIL_DENY_DOMAINS',
+    webhookPort: 'WEBHOOK_PORT',
+    backend: 'BACKEND',
+    auth: 'AUTH_METHOD',
+    subject: 'DELEGATION_SUBJECT'
+  };
+  for (const [key, name] of Object.entries(env)) {
+    if (opts[key] !== undefined) process.env[name] = String(opts[key]);
+  }
+  const bools = {
+    loop: 'LOOP',
+    notify: 'NOTIFY',
+    revokeMissing: 'REVOKE_MISSING',
+    autoCreateFolders: 'AUTO_CREATE_FOLDERS',
+    blockDisposable: 'EMAIL_BLOCK_DISPOSABLE',
+    debug: 'DEBUG'
+  };
+  for (const [key, name] of Object.entries(bools)) {
+    if (opts[key] !== undefined) process.env[name] = opts[key] ? 'true' : 'false';
+  }
+}
+
+// Build the app for a subcommand (flags are applied before the constructor reads SHARD_*)
+function createApp(cmd) {
+  const opts = cmd.optsWithGlobals();
+  if (!opts.interactive) process.env.NON_INTERACTIVE = 'true';
+  applyConfigFlags(opts);
+  applyEnvFlags(opts);
+  const app = new CertificateSharing();
+  app.installSignalHandlers();
+  return app;
+}
+
+// Read the participant source for read-only commands (json: keep stdout clean)
+async function loadData(app, { json = false } = {}) {
+  const log = console.log;
+  if (json) console.log = console.error;
+  try {
+    if (!(await app.prepare({ header: false }))) return null;
+    const data = await app.getSpreadsheetDataFlexible();
+    if (!data) app.exitCode = EXIT.ERROR;
+    return data;
+  } finally {
+    console.log = log;
+  }
+}
+
+// Coerce a "config set" value to the type of the current/default value
+function coerceConfigValue(key, raw) {
+  const current = config.store.get(key);
+  if (typeof current === 'number') {
+    const n = Number(raw);
+    if (!Number.isFinite(n)) throw new InvalidArgumentError(`${key} harus angka`);
+    return n;
+  }
+  if (typeof current === 'boolean') {
+    if (!['true', 'false'].includes(String(raw).toLowerCase())) throw new InvalidArgumentError(`${key} harus true/false`);
+    return String(raw).toLowerCase() === 'true';
+  }
+  if (Array.isArray(current)) {
+    if (String(raw).trim().startsWith('[')) return JSON.parse(raw);
+    return String(raw).split(',').map(v => v.trim()).filter(Boolean);
+  }
+  if (current && typeof current === 'object') {
+    // JSON, or key=value pairs merged into the current object (e.g. "share=0.5,sheets=1")
+    if (String(raw).trim().startsWith('{')) return JSON.parse(raw);
+    const merged = { ...current };
+    for (const pair of String(raw).split(',')) {
+      const [k, v] = pair.split('=').map(x => (x || '').trim());
+      if (!k || v === '' || !Number.isFinite(Number(v))) throw new InvalidArgumentError(`${key}: format key=angka, mis. share=0.5`);
+      merged[k] = Number(v);
+    }
+    return merged;
+  }
+  return String(raw);
+}
+
+const program = new Command();
+// Usage errors → exit 2; --help / --version → 0 (set before subcommands so they inherit it)
+program.exitOverride();
+program
+  .name('certificate-sharing')
+  .description('Berbagi folder sertifikat Google Drive ke peserta dari Google Sheets / CSV / XLSX')
+  .version(pkg.version)
+  .option('--sheet-id <id>', 'Google Sheets ID (env SHEET_ID)')
+  .option('--sheet-name <name>', 'nama worksheet (env SHEET_NAME)')
+  .option('--source-file <path>', 'file peserta lokal .csv/.xlsx (env SOURCE_FILE)')
+  .option('--source-sheet <name>', 'worksheet di file XLSX (env SOURCE_SHEET)')
+  .option('--parent-folder <id>', 'parent folder Drive (env PARENT_FOLDER_ID)')
+  .option('--profile <name>', 'profil konfigurasi (env PROFILE)')
+  .addOption(new Option('--share-mode <mode>', 'share folder peserta atau file sertifikat (env SHARE_MODE)').choices(['folder', 'file']))
+  .addOption(new Option('--auth <method>', 'login sebagai service account, user OAuth, atau delegasi domain (env AUTH_METHOD)').choices(['service', 'oauth', 'delegation']))
+  .option('--subject <email>', 'dengan --auth delegation: user yang diwakili (env DELEGATION_SUBJECT)')
+  .addOption(new Option('--backend <name>', 'google, atau local = simulasi offline di localBackendDir (env BACKEND)').choices(['google', 'local']))
+  .option('--dry-run', 'simulasi, tanpa perubahan di Drive (env DRY_RUN)')
+  .option('--no-dry-run', 'paksa mode production')
+  .option('--debug', 'log debug (env DEBUG)')
+  .option('--interactive', 'izinkan prompt konfigurasi');
+
+// Select the profile before any command reads config
+program.hook('preAction', (thisCommand, actionCommand) => {
+  const name = actionCommand.optsWithGlobals().profile || process.env.PROFILE;
+  if (actionCommand.parent && actionCommand.parent.name() === 'profile') return;
+  try {
+    config.useProfile(name);
+  } catch (e) {
+    program.error(`❌ ${e.message}`, { exitCode: EXIT.USAGE });
+  }
+});
+
+program.addHelpText('after', `
+Exit codes:
+  ${EXIT.OK}  sukses
+  ${EXIT.ERROR}  error fatal
+  ${EXIT.USAGE}  flag salah / konfigurasi belum ada
+  ${EXIT.PARTIAL}  selesai dengan error per baris (share/revoke) atau drift (verify)
+  ${EXIT.AUTH}  kredensial tidak ada / tidak valid`);
+
+program
+  .command('share')
+  .description('share folder ke peserta yang belum dishare')
+  .addOption(new Option('--role <role>', 'default role jika kolom Role kosong (env ROLE)').choices(['reader', 'commenter', 'writer']))
+  .option('--max-per-run <n>', 'maksimal baris per run (env MAX_PER_RUN)', toInt(1))
+  .option('--loop', 'ulang terus setiap --interval detik (env LOOP)')
+  .option('--interval <sec>', 'interval loop dalam detik (env POLL_INTERVAL)', toInt(5))
+  .option('--webhook-port <port>', 'dengan --loop: terima trigger webhook di port ini (env WEBHOOK_PORT)', toInt(1))
+  .option('--shard-index <n>', 'index shard worker (env SHARD_INDEX)', toInt(0))
+  .option('--shard-total <n>', 'jumlah shard (env SHARD_TOTAL)', toInt(1))
+  .option('--notify', 'kirim email notifikasi (env NOTIFY)')
+  .option('--notify-template <file>', 'template pesan email (env NOTIFY_TEMPLATE)')
+  .option('--revoke-missing', 'cabut akses baris yang hilang dari sheet (env REVOKE_MISSING)')
+  .option('--auto-create-folders', 'buat folder peserta yang belum ada (env AUTO_CREATE_FOLDERS)')
+  .option('--upload-dir <dir>', 'upload sertifikat dari folder lokal (env UPLOAD_DIR)')
+  .option('--folder-depth <n>', 'kedalaman pencarian folder (env FOLDER_MAX_DEPTH)', toInt(0))
+  .option('--file-ext <list>', 'mode file: ekstensi yang dicari, mis. .pdf,.png (env FILE_EXTENSIONS)')
+  .option('--allow-domains <list>', 'hanya share ke domain ini, pisahkan dengan koma (env EMAIL_ALLOW_DOMAINS)')
+  .option('--deny-domains <list>', 'jangan share ke domain ini (env EMAIL_DENY_DOMAINS)')
+  .option('--block-disposable', 'tolak email sementara/disposable (env EMAIL_BLOCK_DISPOSABLE)')
+  .option('--file-pattern <pattern>', 'mode file: pola nama file, mis. "Sertifikat - {{Nama}}" atau "{{ID}}_*" (env FILE_NAME_PATTERN)')
+  .action(async (opts, cmd) => {
+    const app = createApp(cmd);
+    process.exitCode = await app.run();
+  });
+
+program
+  .command('monitor')
+  .description('jalankan beberapa worker share paralel secara terus-menerus')
+  .option('--workers <n>', 'jumlah worker (env WORKER_COUNT)', toInt(1))
+  .option('--interval <sec>', 'interval loop worker dalam detik (env POLL_INTERVAL)', toInt(5))
+  .option('--max-per-run <n>', 'batch per worker (env MAX_PER_RUN)', toInt(1))
+  .option('--profiles <names...>', 'jalankan beberapa profil sekaligus (env PROFILES)')
+  .option('--status-port <port>', 'jalankan status HTTP (/health, /status, /metrics) di port ini (env STATUS_PORT)', toInt(1))
+  .option('--status-host <host>', 'alamat status HTTP, default 127.0.0.1 (env STATUS_HOST)')
+  .option('--webhook-port <port>', 'terima trigger webhook (POST /trigger, /participants) di port ini (env WEBHOOK_PORT)', toInt(1))
+  .option('--max-restarts <n>', 'restart worker yang crash maksimal n kali per 10 menit (env WORKER_MAX_RESTARTS)', toInt(1))
+  .action(async (opts, cmd) => {
+    const all = cmd.optsWithGlobals();
+    const profiles = opts.profiles || (all.profile ? [all.profile] : []);
+    const sourceFlags = ['sheetId', 'sheetName', 'sourceFile', 'sourceSheet', 'parentFolder'].filter(k => all[k] !== undefined);
+    if (profiles.length > 1 && sourceFlags.length > 0) {
+      program.error('❌ --sheet-id/--source-file/--parent-folder tidak bisa dipakai dengan beberapa profil', { exitCode: EXIT.USAGE });
+    }
+    // Workers are separate processes: hand flags over as env vars
+    applyEnvFlags(all);
+    const passEnv = { sheetId: 'SHEET_ID', sheetName: 'SHEET_NAME', sourceFile: 'SOURCE_FILE', sourceSheet: 'SOURCE_SHEET', parentFolder: 'PARENT_FOLDER_ID' };
+    for (const [key, name] of Object.entries(passEnv)) {
+      if (all[key] !== undefined) process.env[name] = all[key];
+    }
+    if (all.sheetId && !all.sheetName) process.env.SHEET_NAME = config.get('sheetName');
+    if ((all.sheetId || all.sourceFile) && all.parentFolder === undefined && !process.env.PARENT_FOLDER_ID) {
+      process.env.PARENT_FOLDER_ID = config.get('parentFolderId');
+    }
+    if (all.dryRun !== undefined) process.env.DRY_RUN = String(all.dryRun);
+    const { startMonitor } = require('./monitor');
+    await startMonitor({ workers: opts.workers, profiles, maxRestarts: opts.maxRestarts, statusPort: opts.statusPort, statusHost: opts.statusHost, webhookPort: opts.webhookPort });
+  });
+
+program
+  .command('status')
+  .description('ringkasan status peserta dan state lokal')
+  .option('--json', 'output JSON')
+  .action(async (opts, cmd) => {
+    const app = createApp(cmd);
+    const data = await loadData(app, { json: opts.json });
+    if (!data) return (process.exitCode = app.exitCode);
+    const summary = app.getStatusSummary(data);
+    if (opts.json) console.log(JSON.stringify(summary, null, 2));
+    else app.printStatus(summary);
+    process.exitCode = EXIT.OK;
+  });
+
+program
+  .command('verify')
+  .description('audit permission Drive tiap baris ber-FolderId terhadap sheet')
+  .option('--json', 'output JSON')
+  .option('--fix-sheet', 'tulis kondisi sebenarnya ke sheet (isShared/isFolderExists/LastLog)')
+  .option('--regrant', 'berikan lagi akses yang hilang / role yang turun')
+  .action(async (opts, cmd) => {
+    const app = createApp(cmd);
+    const data = await loadData(app, { json: opts.json });
+    if (!data) return (process.exitCode = app.exitCode);
+    const log = console.log;
+    if (opts.json) console.log = console.error;
+    let result;
+    try {
+      result = await app.verifyShares(data, { fixSheet: !!opts.fixSheet, regrant: !!opts.regrant });
+    } finally {
+      console.log = log;
+    }
+    if (opts.json) {
+      console.log(JSON.stringify(result, null, 2));
+    } else {
+      console.log(`🔎 Folder: ${result.folders}, baris: ${result.checked}, OK: ${chalk.green(result.ok)}, Drift: ${chalk.red(result.drift.length)}`);
+      for (const d of result.drift) {
+        console.log(chalk.yellow(`   Row ${d.row} ${d.nama} <${d.email}> ${d.folderId} [${d.type}]: ${d.issue}`));
+      }
+      if (opts.fixSheet) console.log(`🛠️  Baris sheet diperbaiki: ${chalk.cyan(result.fixed)}`);
+      if (opts.regrant) console.log(`🔗 Akses diberikan ulang: ${chalk.cyan(result.regranted)}`);
+    }
+    process.exitCode = result.drift.length > 0 ? EXIT.PARTIAL : EXIT.OK;
+  });
+
+program
+  .command('revoke')
+  .description('cabut akses: baris dengan Revoke=TRUE, email tertentu, atau baris yang hilang')
+  .option('--email <email...>', 'cabut akses email ini')
+  .option('--missing', 'cabut akses baris yang hilang dari sheet sejak run sebelumnya')
+  .action(async (opts, cmd) => {
+    const app = createApp(cmd);
+    process.env.LOOP = 'false';
+    process.env.REVOKE_MISSING = opts.missing ? 'true' : 'false';
+    process.exitCode = await app.run({ onlyRevoke: true, revokeEmails: opts.email || [] });
+  });
+
+const configCmd = program
+  .command('config')
+  .description('lihat / ubah konfigurasi tersimpan');
+
+configCmd
+  .command('get [key]')
+  .description('tampilkan semua konfigurasi atau satu key')
+  .action((key) => {
+    if (!key) {
+      console.log(JSON.stringify(config.store.store, null, 2));
+      return;
+    }
+    if (!config.store.has(key)) {
+      console.error(chalk.red(`Key tidak dikenal: ${key}. Key: ${Object.keys(config.store.store).join(', ')}`));
+      process.exitCode = EXIT.USAGE;
+      return;
+    }
+    const value = config.store.get(key);
+    console.log(typeof value === 'string' ? value : JSON.stringify(value));
+  });
+
+configCmd
+  .command('set <key> <value>')
+  .description('simpan nilai konfigurasi (tipe mengikuti nilai default)')
+  .action((key, value) => {
+    if (!config.store.has(key)) {
+      console.error(chalk.red(`Key tidak dikenal: ${key}. Key: ${Object.keys(config.store.store).join(', ')}`));
+      process.exitCode = EXIT.USAGE;
+      return;
+    }
+    try {
+      config.set(key, coerceConfigValue(key, value));
+      console.log(chalk.green(`✅ ${key} = ${JSON.stringify(config.store.get(key))}`));
+    } catch (e) {
+      console.error(chalk.red(`❌ ${e.message}`));
+      process.exitCode = EXIT.USAGE;
+    }
+  });
+
+configCmd
+  .command('path')
+  .description('lokasi file konfigurasi')
+  .action(() => console.log(config.store.path));
+
+const profileCmd = program
+  .command('profile')
+  .description('kelola profil konfigurasi (satu per event/batch)');
+
+profileCmd
+  .command('list')
+  .description('daftar profil')
+  .action(() => {
+    const active = program.opts().profile || process.env.PROFILE || DEFAULT_PROFILE;
+    for (const name of config.listProfiles()) {
+      config.useProfile(name);
+      const source = config.get('sourceFile') || (config.get('sheetId') ? `${config.get('sheetId')} / ${config.get('sheetName')}` : '-');
+      const mark = name === active ? chalk.green('*') : ' ';
+      console.log(`${mark} ${chalk.cyan(name.padEnd(20))} ${source}  ${chalk.gray(`folder=${config.get('parentFolderId') || '-'} role=${config.get('role')} auth=${config.get('authMethod')}`)}`);
+    }
+  });
+
+profileCmd
+  .command('create <name>')
+  .description('buat profil baru (sumber, folder & login dari flag global --sheet-id/--source-file/--parent-folder/--auth/--subject)')
+  .addOption(new Option('--role <role>', 'default role').choices(['reader', 'commenter', 'writer']))
+  .option('--throttle-ms <ms>', 'jeda minimal antar API call', toInt(0))
+  .option('--log-dir <dir>', 'folder log (default logs/<profil>)')
+  .action((name, opts, cmd) => {
+    const all = cmd.optsWithGlobals();
+    try {
+      config.createProfile(name, {
+        sheetId: all.sheetId,
+        sheetName: all.sheetName,
+        sourceFile: all.sourceFile ? require('path').resolve(all.sourceFile) : undefined,
+        sourceSheet: all.sourceSheet,
+        parentFolderId: all.parentFolder,
+        role: opts.role,
+        authMethod: all.auth,
+        delegationSubject: all.subject,
+        throttleMs: opts.throttleMs,
+        logDir: opts.logDir ? require('path').resolve(opts.logDir) : undefined
+      });
+      console.log(chalk.green(`✅ Profil ${name} dibuat. Ubah nilainya dengan: --profile ${name} config set <key> <value>`));
+    } catch (e) {
+      console.error(chalk.red(`❌ ${e.message}`));
+      process.exitCode = EXIT.USAGE;
+    }
+  });
+
+profileCmd
+  .command('copy <from> <to>')
+  .description('salin profil (kecuali logDir)')
+  .action((from, to) => {
+    try {
+      config.copyProfile(from, to);
+      console.log(chalk.green(`✅ Profil ${from} disalin ke ${to}`));
+    } catch (e) {
+      console.error(chalk.red(`❌ ${e.message}`));
+      process.exitCode = EXIT.USAGE;
+    }
+  });
+
+profileCmd
+  .command('delete <name>')
+  .description('hapus profil (state/ dan log tidak dihapus)')
+  .action((name) => {
+    try {
+      config.deleteProfile(name);
+      console.log(chalk.green(`✅ Profil ${name} dihapus`));
+    } catch (e) {
+      console.error(chalk.red(`❌ ${e.message}`));
+      process.exitCode = EXIT.USAGE;
+    }
+  });
+
+program
+  .command('login')
+  .description('login OAuth sebagai user (authMethod oauth); token disimpan per profil')
+  .action(async (opts, cmd) => {
+    const app = createApp(cmd);
+    try {
+      const user = await app.loginOAuth();
+      console.log(chalk.green(`✅ Login sebagai ${user.email}${user.name ? ` (${user.name})` : ''} untuk profil ${config.profile}`));
+      if (app.getAuthMethod() !== 'oauth') {
+        const flag = config.profile === DEFAULT_PROFILE ? '' : `--profile ${config.profile} `;
+        console.log(chalk.yellow(`   Aktifkan dengan: ${flag}config set authMethod oauth`));
+      }
+      process.exitCode = EXIT.OK;
+    } catch (e) {
+      console.error(chalk.red(`❌ Login gagal: ${e.message}`));
+      process.exitCode = EXIT.AUTH;
+    }
+  });
+
+program
+  .command('logout')
+  .description('hapus token OAuth profil ini')
+  .action((opts, cmd) => {
+    const app = createApp(cmd);
+    console.log(app.logoutOAuth() ? chalk.green(`✅ Token OAuth profil ${config.profile} dihapus`) : chalk.gray('Belum login.'));
+    process.exitCode = EXIT.OK;
+  });
+
+program
+  .command('doctor')
+  .description('cek Node.js, kredensial, konfigurasi dan akses ke sheet/folder')
+  .action(async (opts, cmd) => {
+    const app = createApp(cmd);
+    const checks = await app.runDoctor();
+    const failed = checks.filter(c => !c.ok);
+    console.log();
+    console.log(failed.length ? chalk.red(`❌ ${failed.length} cek gagal`) : chalk.green('✅ Semua cek OK'));
+    process.exitCode = failed.length === 0 ? EXIT.OK : (app.exitCode === EXIT.AUTH ? EXIT.AUTH : EXIT.ERROR);
+  });
+
+program.parseAsync(process.argv)
+  .then(() => {
+    // One-shot commands end here (loop/monitor keep running on their own)
+    if (!['monitor'].includes(program.args[0]) && process.env.LOOP !== 'true') process.exit(process.exitCode || 0);
+  })
+  .catch(err => {
+    if (err && err.code && err.code.startsWith('commander.')) {
+      const ok = ['commander.helpDisplayed', 'commander.help', 'commander.version'].includes(err.code);
+      process.exit(ok ? EXIT.OK : EXIT.USAGE);
+    }
+    console.error(chalk.red(`Fatal Error: ${err.message}`));
+    process.exit(EXIT.ERROR);
+  });
@@ -10,61 +10,388 @@ const ora = require('ora');
 const cliProgress = require('cli-progress');
 const Conf = require('conf');
 const os = require('os');
+const crypto = require('crypto');
+const { createSource, toCol } = require('./lib/participant-sources');
+const { writeRunReport } = require('./lib/run-report');
+const { checkEmail } = require('./lib/email-check');
+const { RateLimiterClient, DEFAULT_RATES } = require('./lib/rate-limiter');
+const { startWebhookServer } = require('./lib/webhook-server');
+const { LocalBackend } = require('./lib/local-backend');
+const { loadClientSecrets, readToken, saveToken, loginWithBrowser } = require('./lib/oauth-login');
+const { ShareQuotaPool } = require('./lib/account-pool');
+const { createDriveBatch, MAX_BATCH_SIZE } = require('./lib/drive-batch');
+
+// Configuration storage (one Conf file per profile)
+const CONFIG_DEFAULTS = {
+  sheetId: '',
+  sheetName: 'participants_sample',
+  parentFolderId: '',
+  sourceFile: '',
+  sourceSheet: '',
+  role: 'reader',
+  dryRun: false,
+  throttleMs: 2500,
+  // Permission checks and grants sent through Drive's batch endpoint, up to this many per
+  // HTTP request (max 100; 1 = one request per call). Every sub-request still counts for quota
+  driveBatchSize: 100,
+  // google = Drive/Sheets API (service.json); local = offline simulation in localBackendDir
+  // (folders = directories, sheet = CSV), localErrorRate = share of calls failing with 429/403
+  backend: 'google',
+  // service = service.json, oauth = act as a staff user (oauthClientFile + "login" command),
+  // delegation = service.json impersonating delegationSubject (domain-wide delegation)
+  authMethod: 'service',
+  oauthClientFile: 'oauth-client.json',
+  delegationSubject: '',
+  // authMethod service: several credential files used in turn (empty = service.json only).
+  // The next account takes over after dailyShareBudget shares today (0 = no budget) or after
+  // rotateAfterRateLimits daily sharing quota errors in a row; counts reset at midnight Pacific time
+  serviceAccountFiles: [],
+  dailyShareBudget: 0,
+  rotateAfterRateLimits: 3,
+  localBackendDir: 'local-backend',
+  localErrorRate: 0,
+  // Request/detik untuk semua worker monitor bersama (drive baca, share tulis, sheets)
+  rateLimits: { ...DEFAULT_RATES },
+  // HTTP status server of the monitor (0 = off); localhost only unless statusHost is changed
+  statusPort: 0,
+  statusHost: '127.0.0.1',
+  // Loop mode: skip polls while the sheet is unchanged, only process new/edited rows;
+  // every fullPollMinutes all rows are looked at again (0 = never)
+  incrementalPoll: true,
+  fullPollMinutes: 15,
+  // Webhook trigger for loop mode (0 = off); requests need webhookSecret (token or HMAC)
+  webhookPort: 0,
+  webhookHost: '127.0.0.1',
+  webhookSecret: '',
+  maxPerRun: 300,
+  revokeMissing: false,
+  notify: false,
+  notifyTemplate: 'message.txt',
+  writeBatchSize: 50,
+  writeFlushMs: 15000,
+  folderMaxDepth: 3,
+  folderIndexTtlMin: 1440,
+  // Gelar yang dibuang saat mencocokkan nama (tanpa titik, lowercase)
+  nameTitles: ['dr', 'drs', 'dra', 'prof', 'ir', 'h', 'hj', 'skom', 'st', 'spd', 'se', 'sh', 'ssi', 'ssos', 'sked', 'mkom', 'mt', 'mm', 'mpd', 'msi', 'mh', 'amd', 'phd', 'mba', 'msc', 'bsc'],
+  matchAutoScore: 0.92,
+  matchReviewScore: 0.75,
+  autoCreateFolders: false,
+  uploadDir: '',
+  // Domain email yang diizinkan/diblokir (kosong = semua), mis. ["perusahaan.co.id"]
+  emailAllowDomains: [],
+  emailDenyDomains: [],
+  emailBlockDisposable: false,
+  emailTypoCheck: true,
+  // folder = share folder peserta, file = share file sertifikat (Nama.pdf) di parent folder
+  shareMode: 'folder',
+  fileExtensions: ['.pdf'],
+  // Contoh: "Sertifikat - {{Nama}}" atau "{{ID}}_*" (kosong = nama file sama dengan Nama)
+  fileNamePattern: '',
+  // Kosong = logs/ (profil default) atau logs/<profil>
+  logDir: '',
+  logFormat: 'json',
+  logMaxSizeMb: 10,
+  logRotateHours: 24,
+  logRetentionDays: 14,
+  runReports: true
+};
+
+// "default" is the original config.json; named profiles live next to it as profile-<name>.json
+const DEFAULT_PROFILE = 'default';
+const PROFILE_NAME_RE = /^[a-z0-9][a-z0-9_-]{0,39}$/i;
+
+function openStore(profile) {
+  return new Conf({
+    projectName: 'certificate-sharing',
+    configName: profile === DEFAULT_PROFILE ? 'config' : `profile-${profile}`,
+    defaults: CONFIG_DEFAULTS
+  });
+}
+
+const defaultStore = openStore(DEFAULT_PROFILE);
+let store = defaultStore;
+let activeProfile = DEFAULT_PROFILE;
+
+function profilePath(name) {
+  if (name === DEFAULT_PROFILE) return defaultStore.path;
+  return path.join(path.dirname(defaultStore.path), `profile-${name}.json`);
+}
+
+// Cached OAuth tokens of a profile (next to its config, not in the working directory)
+function oauthTokenPath(name) {
+  return path.join(path.dirname(defaultStore.path), `oauth-token-${name}.json`);
+}
+
+function checkProfileName(name) {
+  if (!PROFILE_NAME_RE.test(String(name || ''))) {
+    throw new Error(`Nama profil tidak valid: "${name}" (huruf, angka, - dan _, maks 40)`);
+  }
+}
 
-// Configuration storage  
-const config = new Conf({
-  projectName: 'certificate-sharing',
-  defaults: {
-    sheetId: '',
-    sheetName: 'participants_sample',
-    parentFolderId: '',
-    role: 'reader',
-    dryRun: false,
-    throttleMs: 2500,
-    maxPerRun: 300
+// Per-run overrides (CLI flags) on top of the persisted store; never saved
+const overrides = new Map();
+const config = {
+  get: (key) => (overrides.has(key) ? overrides.get(key) : store.get(key)),
+  set: (key, value) => store.set(key, value),
+  override: (key, value) => overrides.set(key, value),
+  get store() { return store; },
+  get profile() { return activeProfile; },
+  tokenPath: (name = activeProfile) => oauthTokenPath(name),
+
+  // Switch the active store; named profiles must exist (see createProfile)
+  useProfile(name) {
+    const profile = name || DEFAULT_PROFILE;
+    checkProfileName(profile);
+    if (profile !== DEFAULT_PROFILE && !fs.existsSync(profilePath(profile))) {
+      throw new Error(`Profil tidak ditemukan: ${profile} (buat dengan "profile create ${profile}")`);
+    }
+    store = profile === DEFAULT_PROFILE ? defaultStore : openStore(profile);
+    activeProfile = profile;
+  },
+
+  profileExists: (name) => name === DEFAULT_PROFILE || (PROFILE_NAME_RE.test(String(name || '')) && fs.existsSync(profilePath(name))),
+
+  listProfiles() {
+    const dir = path.dirname(defaultStore.path);
+    const names = fs.existsSync(dir)
+      ? fs.readdirSync(dir)
+        .map(f => (f.match(/^profile-(.+)\.json$/) || [])[1])
+        .filter(n => n && PROFILE_NAME_RE.test(n))
+        .sort()
+      : [];
+    return [DEFAULT_PROFILE, ...names];
+  },
+
+  // Create a profile from defaults plus the given values
+  createProfile(name, values = {}) {
+    checkProfileName(name);
+    if (name === DEFAULT_PROFILE || fs.existsSync(profilePath(name))) {
+      throw new Error(`Profil sudah ada: ${name}`);
+    }
+    const created = openStore(name);
+    for (const [key, value] of Object.entries(values)) {
+      if (value !== undefined) created.set(key, value);
+    }
+    return created;
+  },
+
+  // Copy every saved value of one profile into a new one (logDir is not copied)
+  copyProfile(from, to) {
+    if (!config.profileExists(from)) throw new Error(`Profil tidak ditemukan: ${from}`);
+    const source = from === DEFAULT_PROFILE ? defaultStore : openStore(from);
+    const { logDir, ...values } = source.store;
+    return config.createProfile(to, values);
+  },
+
+  deleteProfile(name) {
+    checkProfileName(name);
+    if (name === DEFAULT_PROFILE) throw new Error('Profil default tidak bisa dihapus');
+    if (!fs.existsSync(profilePath(name))) throw new Error(`Profil tidak ditemukan: ${name}`);
+    if (name === activeProfile) config.useProfile(DEFAULT_PROFILE);
+    fs.unlinkSync(profilePath(name));
+    if (fs.existsSync(oauthTokenPath(name))) fs.unlinkSync(oauthTokenPath(name));
   }
-});
+};
+
+// Exit codes for scripts (cron/CI)
+const EXIT = {
+  OK: 0,
+  ERROR: 1,     // fatal/unexpected error
+  USAGE: 2,     // bad flags or missing configuration
+  PARTIAL: 3,   // finished, but some rows failed (or verify found drift)
+  AUTH: 4       // credentials missing/invalid
+};
+
+const GOOGLE_SCOPES = [
+  'https://www.googleapis.com/auth/drive',
+  'https://www.googleapis.com/auth/spreadsheets'
+];
+
+// ExpiresAt without a time zone is read as WIB (UTC+7, same as the LastLog timestamps)
+const WIB_OFFSET_MS = 7 * 3600 * 1000;
+
+const PERMISSION_LIST_FIELDS = 'nextPageToken, permissions(id,type,emailAddress,role,domain,permissionDetails(inherited,inheritedFrom))';
 
 class CertificateSharing {
   constructor() {
+    this.exitCode = EXIT.OK;
     this.auth = null;
+    this.serviceAccountEmail = null;
+    // Account the API calls run as: { method, email, label } (set by setupAuth)
+    this.identity = null;
+    // Service account pool with daily share counts (serviceAccountFiles), else null
+    this.accountPool = null;
     this.drive = null;
     this.sheets = null;
+    // Drive batch executor (see lib/drive-batch), null when the backend has none
+    this.driveBatch = null;
+    // Permission lists fetched ahead in a batch: fileId -> permissions (used once)
+    this.permissionCache = new Map();
     this.progressBar = null;
     this.lastApiCallAt = 0;
+    // Shared token buckets in the monitor process (workers only), else throttleMs per process
+    this.rateLimiter = RateLimiterClient.available() ? new RateLimiterClient() : null;
+    // Started by monitor.js: progress goes over IPC instead of a progress bar
+    this.supervised = process.env.SUPERVISED === 'true' && typeof process.send === 'function';
+    // Webhook triggers: wake the loop, rows/emails to process first
+    this.woken = false;
+    this.wakeResolve = null;
+    this.wakeRequests = [];
+    if (this.supervised) {
+      process.on('message', (msg) => { if (msg && msg.type === 'wake') this.wakePoll(msg); });
+    }
     this.debugEnabled = process.env.DEBUG === 'true' || process.env.DEBUG_SHARE === 'true';
     this.logStream = null;
     this.logFilePath = null;
+    this.logBytes = 0;
+    this.logOpenedAt = 0;
+    this.shareSnapshot = null;
+    this.source = null;
+    // Buffered sheet writes: key "row|col" -> { row, col, value }
+    this.pendingUpdates = new Map();
+    this.lastFlushAt = Date.now();
+    this.rowIdentity = new Map();
+    // Journal keys (folderId|email) whose sheet writes are still buffered
+    this.journalUnsynced = new Set();
+    // Folder tree under parentFolderId (see ensureFolderIndex)
+    this.folderIndex = null;
+    this.folderNameMap = null;
+    this.folderNormMap = null;
+    // File mode: files in parentFolderId (see getFileList)
+    this.fileList = null;
     // Sharding config (untuk multi-worker aman tanpa overlap)
     this.shardTotal = Number(process.env.SHARD_TOTAL || 0) || 0;
     this.shardIndex = Number(process.env.SHARD_INDEX || 0) || 0;
   }
 
-  // Initialize local file logger
+  // Log directory of the active profile (config logDir, else logs/ or logs/<profile>)
+  getLogDir() {
+    const custom = config.get('logDir');
+    if (custom) return path.resolve(custom);
+    const base = path.join(process.cwd(), 'logs');
+    return config.profile === DEFAULT_PROFILE ? base : path.join(base, config.profile);
+  }
+
+  // Initialize local file logger (old files past logRetentionDays are removed)
   async initLogger() {
     try {
-      const logsDir = path.join(process.cwd(), 'logs');
+      const logsDir = this.getLogDir();
       if (!fs.existsSync(logsDir)) fs.mkdirSync(logsDir, { recursive: true });
-      const ts = new Date();
-      const pad = n => String(n).padStart(2, '0');
-      const fname = `share-${ts.getFullYear()}${pad(ts.getMonth()+1)}${pad(ts.getDate())}-${pad(ts.getHours())}${pad(ts.getMinutes())}${pad(ts.getSeconds())}.log`;
-      this.logFilePath = path.join(logsDir, fname);
-      this.logStream = fs.createWriteStream(this.logFilePath, { flags: 'a' });
-      this.writeLog(`Session start: ${ts.toISOString()}`);
+      this.pruneLogs();
+      this.openLogFile();
+      this.writeLog(`Session start: ${new Date().toISOString()} (profile=${config.profile})`, 'info', { op: 'session' });
     } catch (e) {
       console.log(chalk.yellow(`⚠️  Cannot initialize logger: ${e.message}`));
     }
   }
 
-  // Write a line to log file with timestamp
-  writeLog(message, level = 'info') {
+  // json (JSON lines) or text (legacy free-text lines)
+  getLogFormat() {
+    const format = String(process.env.LOG_FORMAT || config.get('logFormat') || 'json').toLowerCase();
+    return format === 'text' ? 'text' : 'json';
+  }
+
+  // Open a new timestamped log file (shard suffix so workers never share a file)
+  openLogFile() {
+    const ts = new Date();
+    const pad = n => String(n).padStart(2, '0');
+    const stamp = `${ts.getFullYear()}${pad(ts.getMonth()+1)}${pad(ts.getDate())}-${pad(ts.getHours())}${pad(ts.getMinutes())}${pad(ts.getSeconds())}`;
+    const shard = this.shardTotal > 0 ? `-s${this.shardIndex}` : '';
+    const ext = this.getLogFormat() === 'json' ? 'jsonl' : 'log';
+    let file = path.join(this.getLogDir(), `share-${stamp}${shard}.${ext}`);
+    for (let n = 1; this.logFilePath === file || (this.logFilePath && fs.existsSync(file)); n++) {
+      file = path.join(this.getLogDir(), `share-${stamp}${shard}-${n}.${ext}`);
+    }
+    this.logFilePath = file;
+    this.logStream = fs.createWriteStream(file, { flags: 'a' });
+    this.logBytes = fs.existsSync(file) ? fs.statSync(file).size : 0;
+    this.logOpenedAt = Date.now();
+  }
+
+  // Start a new file once the current one is too big (logMaxSizeMb) or too old (logRotateHours)
+  rotateLogIfNeeded() {
+    const maxBytes = (Number(config.get('logMaxSizeMb')) || 10) * 1024 * 1024;
+    const maxAgeMs = (Number(config.get('logRotateHours')) || 24) * 3600000;
+    if (this.logBytes < maxBytes && Date.now() - this.logOpenedAt < maxAgeMs) return;
+    try {
+      this.logStream.end();
+      this.openLogFile();
+      this.pruneLogs();
+    } catch (_) {}
+  }
+
+  // Remove logs and run reports older than logRetentionDays (0 = keep forever)
+  pruneLogs() {
+    const days = Number(config.get('logRetentionDays'));
+    if (!(days > 0)) return;
+    const cutoff = Date.now() - days * 86400000;
+    for (const dir of [this.getLogDir(), path.join(this.getLogDir(), 'reports')]) {
+      if (!fs.existsSync(dir)) continue;
+      for (const name of fs.readdirSync(dir)) {
+        if (!/^(share-.*\.(log|jsonl)|run-.*\.(csv|html))$/.test(name)) continue;
+        const file = path.join(dir, name);
+        try {
+          if (file !== this.logFilePath && fs.statSync(file).mtimeMs < cutoff) fs.unlinkSync(file);
+        } catch (_) {}
+      }
+    }
+  }
+
+  // Write a line to the log file; fields (row, email, folderId, op, status,
+  // httpStatus, reasons, ...) become JSON keys, or key=value in text format
+  writeLog(message, level = 'info', fields = {}) {
     const ts = new Date().toISOString();
-    const line = `[${ts}] [${level.toUpperCase()}] ${message}\n`;
+    const clean = Object.fromEntries(Object.entries(fields).filter(([, v]) => v !== undefined && v !== null && v !== ''));
+    let line;
+    if (this.getLogFormat() === 'json') {
+      const base = { ts, level, msg: message, pid: process.pid };
+      if (config.profile !== DEFAULT_PROFILE) base.profile = config.profile;
+      if (this.shardTotal > 0) base.shard = `${this.shardIndex}/${this.shardTotal}`;
+      line = JSON.stringify({ ...base, ...clean }) + '\n';
+    } else {
+      const extra = Object.entries(clean).map(([k, v]) => `${k}=${Array.isArray(v) ? v.join(',') : v}`).join(' ');
+      line = `[${ts}] [${level.toUpperCase()}] ${message}${extra ? ` {${extra}}` : ''}\n`;
+    }
     try {
-      if (this.logStream) this.logStream.write(line);
+      if (this.logStream) {
+        this.rotateLogIfNeeded();
+        this.logStream.write(line);
+        this.logBytes += Buffer.byteLength(line);
+      }
     } catch (_) {}
   }
 
+  // Local state directory (snapshots, caches) next to logs/
+  getStateDir() {
+    const dir = path.join(process.cwd(), 'state');
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    return dir;
+  }
+
+  // Read a JSON state file, returning fallback when missing/corrupt
+  readStateFile(name, fallback) {
+    try {
+      const file = path.join(this.getStateDir(), name);
+      if (!fs.existsSync(file)) return fallback;
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+      this.writeLog(`Cannot read state ${name}: ${e.message}`, 'warn');
+      return fallback;
+    }
+  }
+
+  // Write a JSON state file atomically (tmp + rename)
+  writeStateFile(name, data) {
+    try {
+      const file = path.join(this.getStateDir(), name);
+      const tmp = `${file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+      fs.renameSync(tmp, file);
+    } catch (e) {
+      this.writeLog(`Cannot write state ${name}: ${e.message}`, 'warn');
+    }
+  }
+
   // Utility: sleep with optional jitter
   async sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
@@ -84,14 +411,20 @@ class CertificateSharing {
 
   // Sleep with countdown display
   async sleepWithCountdown(totalSeconds) {
+    // A webhook trigger ends the wait early
+    const wake = this.nextWake();
+    // No countdown noise in logs (cron/CI/monitor workers)
+    if (!process.stdout.isTTY) return Promise.race([this.sleep(totalSeconds * 1000), wake]);
     const startTime = Date.now();
     let remaining = totalSeconds;
+    let woken = false;
+    wake.then(() => { woken = true; });
     
-    while (remaining > 0) {
+    while (remaining > 0 && !woken) {
       // Clear current line and show countdown
       process.stdout.write(`\r⏱️  Next check in: ${remaining}s... (Ctrl+C to stop)`);
       
-      await this.sleep(1000);
+      await Promise.race([this.sleep(1000), wake]);
       remaining = totalSeconds - Math.floor((Date.now() - startTime) / 1000);
     }
     
@@ -99,9 +432,53 @@ class CertificateSharing {
     process.stdout.write('\r' + ' '.repeat(60) + '\r');
   }
 
+  // Resolves on the next webhook trigger (at once if one came in meanwhile)
+  nextWake() {
+    if (this.woken) return Promise.resolve();
+    return new Promise(resolve => { this.wakeResolve = resolve; });
+  }
+
+  // Webhook trigger: poll now; row/email is processed first in that poll
+  wakePoll({ row = null, email = '' } = {}) {
+    if (row || email) this.wakeRequests.push({ row: row ? Number(row) : null, email: String(email || '').toLowerCase(), at: Date.now() });
+    this.woken = true;
+    if (this.wakeResolve) {
+      const resolve = this.wakeResolve;
+      this.wakeResolve = null;
+      resolve();
+    }
+  }
+
+  // Optional webhook server for loop mode (monitor workers get triggers from the monitor)
+  async startWebhook() {
+    const port = Number(process.env.WEBHOOK_PORT || config.get('webhookPort')) || 0;
+    if (!port) return null;
+    const host = process.env.WEBHOOK_HOST || config.get('webhookHost') || '127.0.0.1';
+    try {
+      const server = await startWebhookServer({
+        port,
+        host,
+        secret: process.env.WEBHOOK_SECRET || config.get('webhookSecret'),
+        onTrigger: (request) => {
+          this.writeLog(`Webhook trigger${request.row ? ` row=${request.row}` : ''}${request.email ? ` email=${request.email}` : ''}`, 'info', { op: 'webhook' });
+          this.wakePoll(request);
+        },
+        onRejected: (reason, ip) => this.writeLog(`Webhook rejected from ${ip}: ${reason}`, 'warn', { op: 'webhook' })
+      });
+      console.log(chalk.cyan(`🔔 Webhook aktif: http://${host}:${port}/trigger dan /participants`));
+      return server;
+    } catch (e) {
+      console.log(chalk.yellow(`⚠️  Webhook tidak bisa dijalankan di ${host}:${port}: ${e.message}`));
+      this.writeLog(`Webhook not started: ${e.message}`, 'warn');
+      return null;
+    }
+  }
+
   // Utility: throttle Drive API calls to avoid rate limits
-  async throttle() {
-    const minDelay = Number(config.get('throttleMs')) || 2500;
+  // count: calls this request stands for (Drive batch: one per sub-request)
+  async throttle(op = '', count = 1) {
+    if (this.rateLimiter) return this.rateLimiter.acquire(this.rateBucket(op), count);
+    const minDelay = (Number(config.get('throttleMs')) || 2500) * count;
     const now = Date.now();
     const elapsed = now - (this.lastApiCallAt || 0);
     if (elapsed < minDelay) {
@@ -111,6 +488,13 @@ class CertificateSharing {
     this.lastApiCallAt = Date.now();
   }
 
+  // Limiter bucket for an operation name (see lib/rate-limiter DEFAULT_RATES)
+  rateBucket(op) {
+    if (/^drive\.(permissions\.(create|update|delete)|files\.(create|update))/.test(op)) return 'share';
+    if (op.startsWith('sheets.')) return 'sheets';
+    return 'drive';
+  }
+
   // Detect retryable rate-limit errors
   isRetryableRateLimit(error) {
     const status = error?.response?.status || error?.code;
@@ -127,6 +511,60 @@ class CertificateSharing {
     return false;
   }
 
+  // Daily sharing quota of the account used up (not a short-term rate limit)
+  isShareQuotaError(error) {
+    const { reasons } = this.extractErrorDetails(error);
+    const reason = error?.errors?.[0]?.reason;
+    return [...reasons, reason].some(r => r === 'sharingRateLimitExceeded' || r === 'dailyLimitExceeded');
+  }
+
+  // Run an API call with throttle + exponential backoff on rate limits
+  async withRetry(op, ctx, fn, maxAttempts = 6) {
+    let attempt = 0;
+    const capMs = 60000; // 60s
+    while (true) {
+      let startedAt = 0;
+      try {
+        // Batch requests carry ctx.count sub-requests, each one counts for the limits
+        await this.throttle(op, (ctx && ctx.count) || 1);
+        startedAt = Date.now();
+        const result = await fn();
+        this.report('api', { op, ms: Date.now() - startedAt, ok: true });
+        return result;
+      } catch (error) {
+        this.dlog(`${op} error:`, this.formatErrorSummary(error));
+        attempt++;
+        // Sharing quota of this service account used up: carry on with the next one
+        // (other rate limits are handled by the backoff below)
+        if (this.accountPool && op.startsWith('drive.permissions.create') && this.isShareQuotaError(error) &&
+          this.accountPool.recordRateLimit(this.serviceAccountEmail)) {
+          if (startedAt) this.report('api', { op, ms: Date.now() - startedAt, ok: false, retry: true });
+          if (this.rotateServiceAccount('kuota share harian habis')) {
+            attempt = 0;
+            continue;
+          }
+          throw this.wrapError(op, ctx, this.quotaExhaustedError());
+        }
+        const retry = this.isRetryableRateLimit(error) && attempt < maxAttempts;
+        if (startedAt) this.report('api', { op, ms: Date.now() - startedAt, ok: false, retry });
+        if (retry) {
+          const base = Math.min(capMs, Math.pow(2, attempt) * 1000);
+          // Other workers slow down too
+          if (this.rateLimiter) this.rateLimiter.backoff(this.rateBucket(op), base);
+          const jitter = Math.floor(Math.random() * 500);
+          await this.sleep(base + jitter);
+          continue;
+        }
+        throw this.wrapError(op, ctx, error);
+      }
+    }
+  }
+
+  // Utility: truthy sheet values (TRUE, yes, ya, 1, x)
+  isTruthy(value) {
+    return ['true', 'yes', 'ya', 'y', '1', 'x'].includes(String(value || '').trim().toLowerCase());
+  }
+
   // Extract structured error details for logging/debugging
   extractErrorDetails(error) {
     const status = error?.response?.status || error?.code || null;
@@ -170,7 +608,7 @@ class CertificateSharing {
 
   // Print beautiful header
   printHeader() {
-    console.clear();
+    if (process.stdout.isTTY) console.clear();
     console.log(chalk.cyan.bold('╔══════════════════════════════════════════════════════════╗'));
     console.log(chalk.cyan.bold('║                 CERTIFICATE SHARING TOOL                ║'));
     console.log(chalk.cyan.bold('║              Script Otomatis Berbagi Sertifikat         ║'));
@@ -178,55 +616,277 @@ class CertificateSharing {
     console.log();
   }
 
-  // Setup Google authentication  
+  // Backend from env BACKEND or config: google (default) or local
+  getBackendName() {
+    return String(process.env.BACKEND || config.get('backend') || 'google').toLowerCase();
+  }
+
+  // Offline backend: same drive/sheets calls, served from a local directory
+  setupLocalBackend(spinner) {
+    const dir = path.resolve(process.env.LOCAL_BACKEND_DIR || config.get('localBackendDir') || 'local-backend');
+    const envRate = process.env.LOCAL_ERROR_RATE;
+    const errorRate = Number(typeof envRate === 'string' ? envRate : config.get('localErrorRate')) || 0;
+    const backend = new LocalBackend({ dir, errorRate });
+    this.drive = backend.drive;
+    this.sheets = backend.sheets;
+    this.driveBatch = backend.batch;
+    this.serviceAccountEmail = backend.owner;
+    this.identity = { method: 'local', email: backend.owner, label: `${backend.owner} (backend lokal)` };
+    const errors = errorRate > 0 ? chalk.yellow(` (error rate-limit ${Math.round(errorRate * 100)}%)`) : '';
+    spinner.succeed(`💾 Backend lokal (offline): ${chalk.green(dir)}${errors}`);
+    this.writeLog(`Local backend: ${dir}, errorRate=${errorRate}`);
+    return true;
+  }
+
+  getAuthMethod() {
+    return String(process.env.AUTH_METHOD || config.get('authMethod') || 'service').toLowerCase();
+  }
+
+  // Credential file in the current directory, else next to the packaged binary
+  findCredentialFile(name) {
+    if (path.isAbsolute(name)) return fs.existsSync(name) ? name : null;
+    for (const dir of [process.cwd(), path.dirname(process.execPath)]) {
+      const file = path.join(dir, name);
+      if (fs.existsSync(file)) return file;
+    }
+    return null;
+  }
+
+  authFail(spinner, message, log, exitCode = EXIT.AUTH) {
+    spinner.fail();
+    console.log(chalk.red(`❌ ${message}`));
+    this.writeLog(log, 'error');
+    this.exitCode = exitCode;
+    return false;
+  }
+
+  readServiceAccount(file) {
+    const json = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!json.client_email || !json.private_key) throw new Error(`${file} bukan file kunci service account`);
+    return { file, email: json.client_email, key: json.private_key, clientId: json.client_id };
+  }
+
+  // Credential files of the share pool (env SERVICE_ACCOUNT_FILES, comma separated); [] = none
+  getServiceAccountFiles() {
+    const env = process.env.SERVICE_ACCOUNT_FILES;
+    const list = typeof env === 'string' ? env.split(',') : (config.get('serviceAccountFiles') || []);
+    return list.map(f => String(f).trim()).filter(Boolean);
+  }
+
+  // Pool over the configured accounts; every worker (profile + shard) counts in its own
+  // state/share-quota-*.json and the pool sums all of them
+  createAccountPool(accounts) {
+    const envBudget = process.env.DAILY_SHARE_BUDGET;
+    const shard = this.shardTotal > 0 ? `-shard${this.shardIndex}of${this.shardTotal}` : '';
+    const name = `share-quota-${this.hashKey(config.profile)}${shard}.json`;
+    return new ShareQuotaPool(accounts, {
+      budget: Number(typeof envBudget === 'string' ? envBudget : config.get('dailyShareBudget')) || 0,
+      maxRateLimits: Number(config.get('rotateAfterRateLimits')) || 3,
+      load: () => this.readStateFile(name, null),
+      save: (state) => this.writeStateFile(name, state),
+      loadOthers: () => fs.readdirSync(this.getStateDir())
+        .filter(f => /^share-quota-.+\.json$/.test(f) && f !== name)
+        .map(f => this.readStateFile(f, null))
+    });
+  }
+
+  // Switch the Drive/Sheets clients to a service account (pool rotation)
+  useServiceAccount(account, subject = '') {
+    this.auth = new google.auth.JWT({
+      email: account.email,
+      key: account.key,
+      scopes: GOOGLE_SCOPES,
+      subject: subject || undefined
+    });
+    this.serviceAccountEmail = account.email;
+    this.initServices();
+  }
+
+  initServices() {
+    this.drive = google.drive({ version: 'v3', auth: this.auth });
+    this.sheets = google.sheets({ version: 'v4', auth: this.auth });
+    this.driveBatch = createDriveBatch(this.auth);
+    if (this.source && this.source.type === 'sheets') this.source.sheets = this.sheets;
+  }
+
+  // Next account of the pool with quota left; false when all are used up for today
+  rotateServiceAccount(reason) {
+    const from = this.serviceAccountEmail;
+    const next = this.accountPool.pick();
+    if (!next) return false;
+    if (next.email !== from) {
+      this.useServiceAccount(next);
+      this.identity = { method: 'service', email: next.email, label: `${next.email} (service account ${this.accountPool.index + 1}/${this.accountPool.accounts.length})` };
+      console.log(chalk.yellow(`\n🔄 Ganti service account: ${from} → ${next.email} (${reason})`));
+      this.writeLog(`Service account rotated: ${from} -> ${next.email} (${reason})`, 'warn');
+    }
+    return true;
+  }
+
+  quotaExhaustedError() {
+    const resetAt = new Date(this.accountPool.resetAt());
+    const error = new Error(`Semua service account (${this.accountPool.accounts.length}) sudah mencapai kuota share hari ini; lanjut setelah ${this.formatExpiry(resetAt)}`);
+    error.code = 'QUOTA_EXHAUSTED';
+    error.resetAt = resetAt.getTime();
+    return error;
+  }
+
+  // Before a share: move on when the current account reached its budget
+  ensureShareQuota() {
+    if (!this.accountPool) return;
+    if (this.accountPool.hasQuota(this.serviceAccountEmail)) return;
+    if (!this.rotateServiceAccount(`budget ${this.accountPool.budget} share/hari tercapai`)) throw this.quotaExhaustedError();
+  }
+
+  // Service account JWT (or a pool of them); with delegation it impersonates delegationSubject
+  async setupServiceAccount(spinner, delegate) {
+    const poolFiles = delegate ? [] : this.getServiceAccountFiles();
+    if (poolFiles.length > 0) return this.setupAccountPool(spinner, poolFiles);
+
+    const serviceAccountPath = this.findCredentialFile('service.json');
+    if (!serviceAccountPath) {
+      this.authFail(spinner, 'File service.json tidak ditemukan!', 'service.json not found');
+      console.log(chalk.yellow(`   Dicari di: ${process.cwd()} dan ${path.dirname(process.execPath)}`));
+      return false;
+    }
+    const serviceAccount = this.readServiceAccount(serviceAccountPath);
+    const subject = delegate ? String(process.env.DELEGATION_SUBJECT || config.get('delegationSubject') || '').trim() : '';
+    if (delegate && !subject) {
+      return this.authFail(spinner, 'delegationSubject belum diset (email user yang diwakili)', 'delegation without subject', EXIT.USAGE);
+    }
+    this.useServiceAccount(serviceAccount, subject);
+
+    if (delegate) {
+      // Fails here (unauthorized_client) when the client id is not allowed in the Admin console
+      try {
+        await this.auth.authorize();
+      } catch (error) {
+        this.authFail(spinner, `Delegasi domain gagal untuk ${subject}: ${error.message}`, `Delegation failed for ${subject}: ${error.message}`);
+        if (/unauthorized_client|access_denied/.test(error.message)) console.log(chalk.yellow(`   Izinkan client ID ${serviceAccount.clientId} dengan scope drive + spreadsheets di Admin Console (Security → API controls → Domain-wide delegation).`));
+        return false;
+      }
+      this.identity = { method: 'delegation', email: subject, label: `${subject} (delegasi via ${serviceAccount.email})` };
+      spinner.succeed(`🔐 Delegasi domain: ${chalk.green(subject)} ${chalk.gray(`via ${serviceAccount.email}`)}`);
+    } else {
+      this.identity = { method: 'service', email: serviceAccount.email, label: `${serviceAccount.email} (service account)` };
+      spinner.succeed(`🔐 Service Account: ${chalk.green(serviceAccount.email)}`);
+    }
+    this.writeLog(`Auth: ${this.identity.label}`);
+    return true;
+  }
+
+  async setupAccountPool(spinner, files) {
+    const accounts = [];
+    for (const name of files) {
+      const file = this.findCredentialFile(name);
+      if (!file) return this.authFail(spinner, `File service account tidak ditemukan: ${name}`, `service account file not found: ${name}`);
+      accounts.push(this.readServiceAccount(file));
+    }
+    this.accountPool = this.createAccountPool(accounts);
+    // Start with an account that still has quota today (or the first one; shares then wait)
+    const account = this.accountPool.pick() || accounts[0];
+    this.useServiceAccount(account);
+    this.identity = { method: 'service', email: account.email, label: `${account.email} (service account ${this.accountPool.index + 1}/${accounts.length})` };
+    const left = this.accountPool.summary().filter(a => a.available).length;
+    spinner.succeed(`🔐 Service Account: ${chalk.green(account.email)} ${chalk.gray(`(pool ${accounts.length} akun, ${left} masih ada kuota hari ini)`)}`);
+    this.writeLog(`Auth: service account pool of ${accounts.length}, using ${account.email}, ${left} with quota left`);
+    return true;
+  }
+
+  // OAuth client for the installed app, with the cached tokens of this profile
+  createOAuthClient() {
+    const name = process.env.OAUTH_CLIENT_FILE || config.get('oauthClientFile') || 'oauth-client.json';
+    const clientFile = this.findCredentialFile(name);
+    if (!clientFile) throw new Error(`File OAuth client tidak ditemukan: ${name} (Google Cloud Console → Credentials → OAuth client ID → Desktop app)`);
+    const { clientId, clientSecret } = loadClientSecrets(clientFile);
+    const client = new google.auth.OAuth2(clientId, clientSecret);
+    const tokenFile = config.tokenPath();
+    client.on('tokens', (tokens) => saveToken(tokenFile, tokens));
+    return { client, tokenFile };
+  }
+
+  // Browser consent flow; stores the tokens and the account email for this profile
+  async loginOAuth() {
+    const { client, tokenFile } = this.createOAuthClient();
+    const tokens = await loginWithBrowser(client, {
+      scopes: GOOGLE_SCOPES,
+      onUrl: (url) => {
+        console.log(chalk.cyan('🌐 Buka URL ini di browser untuk login (dibuka otomatis jika bisa):'));
+        console.log(url);
+      }
+    });
+    client.setCredentials(tokens);
+    const drive = google.drive({ version: 'v3', auth: client });
+    const about = await drive.about.get({ fields: 'user(emailAddress,displayName)' });
+    const user = about.data.user || {};
+    saveToken(tokenFile, { ...tokens, email: user.emailAddress, name: user.displayName });
+    this.writeLog(`OAuth login: ${user.emailAddress} (profile ${config.profile})`);
+    return { email: user.emailAddress, name: user.displayName, tokenFile };
+  }
+
+  logoutOAuth() {
+    const tokenFile = config.tokenPath();
+    if (!fs.existsSync(tokenFile)) return false;
+    fs.unlinkSync(tokenFile);
+    return true;
+  }
+
+  async setupOAuth(spinner) {
+    let client;
+    let tokenFile;
+    try {
+      ({ client, tokenFile } = this.createOAuthClient());
+    } catch (error) {
+      return this.authFail(spinner, error.message, `OAuth client: ${error.message}`);
+    }
+    let token = readToken(tokenFile);
+    const canPrompt = process.env.NON_INTERACTIVE !== 'true' && process.env.LOOP !== 'true' && process.stdout.isTTY;
+    if ((!token || !token.refresh_token) && canPrompt) {
+      spinner.stop();
+      await this.loginOAuth();
+      token = readToken(tokenFile);
+      spinner.start();
+    }
+    if (!token || !token.refresh_token) {
+      return this.authFail(spinner, `Belum login OAuth untuk profil ${config.profile}: jalankan "certificate-sharing login"`, 'OAuth token missing');
+    }
+    client.setCredentials(token);
+    try {
+      await client.getAccessToken();
+    } catch (error) {
+      // invalid_grant: refresh token revoked or expired (password change, removed app access)
+      const expired = /invalid_grant/.test(`${error.message} ${JSON.stringify(error.response?.data || '')}`);
+      const message = expired ? 'Login OAuth tidak berlaku lagi: jalankan "certificate-sharing login"' : `Login OAuth gagal: ${error.message}`;
+      return this.authFail(spinner, message, `OAuth refresh failed: ${error.message}`);
+    }
+    this.auth = client;
+    this.initServices();
+    this.identity = { method: 'oauth', email: token.email || '', label: `${token.email || '(email tidak diketahui)'} (login OAuth)` };
+    spinner.succeed(`🔐 Login OAuth: ${chalk.green(token.email || '(email tidak diketahui)')}`);
+    this.writeLog(`Auth: ${this.identity.label}`);
+    return true;
+  }
+
+  // Setup Google authentication (service account, OAuth user or domain-wide delegation)
   async setupAuth() {
     const spinner = ora('🔐 Initializing Google services...').start();
     
     try {
       if (!this.logStream) await this.initLogger();
-      this.writeLog('Initializing Google services...');
-      // Check if service account file exists - look in current directory first
-      let serviceAccountPath = path.join(process.cwd(), 'service.json');
-
-      if (!fs.existsSync(serviceAccountPath)) {
-        // If running as packaged binary, try alongside executable
-        const execDir = path.dirname(process.execPath);
-        serviceAccountPath = path.join(execDir, 'service.json');
+      const backendName = this.getBackendName();
+      if (backendName === 'local') return this.setupLocalBackend(spinner);
+      if (backendName !== 'google') {
+        return this.authFail(spinner, `Backend tidak dikenal: ${backendName} (google atau local)`, `Unknown backend: ${backendName}`, EXIT.USAGE);
       }
-      
-      if (!fs.existsSync(serviceAccountPath)) {
-        spinner.fail();
-        console.log(chalk.red('❌ File service.json tidak ditemukan!'));
-        console.log(chalk.yellow(`   Dicari di: ${process.cwd()} dan ${path.dirname(process.execPath)}`));
-        process.exit(1);
+      this.writeLog('Initializing Google services...');
+      const method = this.getAuthMethod();
+      if (!['service', 'oauth', 'delegation'].includes(method)) {
+        return this.authFail(spinner, `authMethod tidak dikenal: ${method} (service, oauth atau delegation)`, `Unknown auth method: ${method}`, EXIT.USAGE);
       }
-
-      // Load service account
-      const serviceAccount = JSON.parse(fs.readFileSync(serviceAccountPath, 'utf8'));
-      
-      // Create JWT auth
-      this.auth = new google.auth.JWT(
-        serviceAccount.client_email,
-        null,
-        serviceAccount.private_key,
-        [
-          'https://www.googleapis.com/auth/drive',
-          'https://www.googleapis.com/auth/spreadsheets'
-        ]
-      );
-
-      // Initialize services
-      this.drive = google.drive({ version: 'v3', auth: this.auth });
-      this.sheets = google.sheets({ version: 'v4', auth: this.auth });
-
-      spinner.succeed(`🔐 Service Account: ${chalk.green(serviceAccount.client_email)}`);
-      this.writeLog(`Service Account: ${serviceAccount.client_email}`);
-      return true;
+      const ok = method === 'oauth' ? await this.setupOAuth(spinner) : await this.setupServiceAccount(spinner, method === 'delegation');
+      return ok;
     } catch (error) {
-      spinner.fail();
-      console.log(chalk.red(`❌ Auth Error: ${error.message}`));
-      this.writeLog(`Auth Error: ${error.message}`, 'error');
-      return false;
+      return this.authFail(spinner, `Auth Error: ${error.message}`, `Auth Error: ${error.message}`);
     }
   }
 
@@ -240,34 +900,49 @@ class CertificateSharing {
     const envSheetName = process.env.SHEET_NAME;
     const envParentFolderId = process.env.PARENT_FOLDER_ID;
     const envDryRun = process.env.DRY_RUN;
-    if (envSheetId && envSheetName) {
-      config.set('sheetId', envSheetId);
-      config.set('sheetName', envSheetName);
-      config.set('parentFolderId', envParentFolderId || '');
-      config.set('role', 'reader');
+    const envSourceFile = process.env.SOURCE_FILE;
+    if ((envSheetId && envSheetName) || envSourceFile) {
+      // Applied for this run only, like CLI flags: monitor workers get their flags this way
+      if (envSourceFile) {
+        config.override('sourceFile', path.resolve(envSourceFile));
+        config.override('sourceSheet', process.env.SOURCE_SHEET || '');
+      } else {
+        config.override('sourceFile', '');
+        config.override('sheetId', envSheetId);
+        config.override('sheetName', envSheetName);
+      }
+      config.override('parentFolderId', envParentFolderId || '');
+      config.override('role', this.normalizeRole(process.env.ROLE) || config.get('role') || 'reader');
       if (typeof envDryRun === 'string') {
-        config.set('dryRun', envDryRun === 'true');
+        config.override('dryRun', envDryRun === 'true');
       }
       console.log(chalk.green('✅ Konfigurasi dari ENV diterapkan.'));
-      console.log(`   📊 Sheet ID: ${chalk.cyan(config.get('sheetId'))}`);
-      console.log(`   📄 Sheet Name: ${chalk.cyan(config.get('sheetName'))}`);
+      this.printSourceConfig();
       console.log(`   📁 Folder ID: ${chalk.cyan(config.get('parentFolderId') || '(semua folder)')}`);
-      this.writeLog(`Config: sheetId=${config.get('sheetId')}, sheetName=${config.get('sheetName')}, parentFolderId=${config.get('parentFolderId')}`);
+      console.log(`   🔗 Default Role: ${chalk.cyan(config.get('role'))}`);
+      this.writeLog(`Config: sheetId=${config.get('sheetId')}, sheetName=${config.get('sheetName')}, sourceFile=${config.get('sourceFile')}, parentFolderId=${config.get('parentFolderId')}`);
       return true;
     }
 
     // Check if config exists
-    const hasConfig = config.get('sheetId') && config.get('sheetId') !== '';
+    const hasConfig = (config.get('sheetId') && config.get('sheetId') !== '') || !!config.get('sourceFile');
+    const nonInteractive = process.env.NON_INTERACTIVE === 'true' || process.env.LOOP === 'true' || !process.stdout.isTTY;
+
+    if (!hasConfig && nonInteractive) {
+      // Jangan prompt di cron/CI
+      console.log(chalk.red('❌ Konfigurasi belum ada. Set SHEET_ID + SHEET_NAME (atau SOURCE_FILE), atau jalankan "config set".'));
+      this.writeLog('Missing configuration in non-interactive mode', 'error');
+      this.exitCode = EXIT.USAGE;
+      return false;
+    }
     
     if (hasConfig) {
       console.log(chalk.green('✅ Konfigurasi ditemukan:'));
-      console.log(`   📊 Sheet ID: ${chalk.cyan(config.get('sheetId'))}`);
-      console.log(`   📄 Sheet Name: ${chalk.cyan(config.get('sheetName'))}`);
+      this.printSourceConfig();
       console.log(`   📁 Folder ID: ${chalk.cyan(config.get('parentFolderId') || '(semua folder)')}`);
-      console.log(`   🔗 Role: ${chalk.cyan('reader')}`);
+      console.log(`   🔗 Default Role: ${chalk.cyan(config.get('role'))}`);
       console.log();
 
-      const nonInteractive = process.env.NON_INTERACTIVE === 'true' || process.env.LOOP === 'true' || !process.stdout.isTTY;
       if (nonInteractive) {
         return true; // gunakan konfigurasi yang ada tanpa prompt
       }
@@ -287,40 +962,109 @@ class CertificateSharing {
     console.log();
 
     const answers = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'sourceType',
+        message: '🗂️  Sumber data peserta:',
+        choices: [
+          { name: 'Google Sheets', value: 'sheets' },
+          { name: 'File lokal (CSV/XLSX)', value: 'file' }
+        ],
+        default: config.get('sourceFile') ? 'file' : 'sheets'
+      },
       {
         type: 'input',
         name: 'sheetId',
         message: '📊 Google Sheets ID:',
         default: config.get('sheetId'),
+        when: a => a.sourceType === 'sheets',
         validate: input => input.length > 0 || 'Sheet ID wajib diisi!'
       },
       {
         type: 'input',
         name: 'sheetName',
         message: '📄 Nama worksheet:',
-        default: config.get('sheetName')
+        default: config.get('sheetName'),
+        when: a => a.sourceType === 'sheets'
+      },
+      {
+        type: 'input',
+        name: 'sourceFile',
+        message: '📄 Path file peserta (.csv / .xlsx):',
+        default: config.get('sourceFile'),
+        when: a => a.sourceType === 'file',
+        validate: input => {
+          if (!input) return 'Path file wajib diisi!';
+          if (!/\.(csv|xlsx)$/i.test(input)) return 'Hanya .csv atau .xlsx';
+          return fs.existsSync(path.resolve(input)) || 'File tidak ditemukan!';
+        }
+      },
+      {
+        type: 'input',
+        name: 'sourceSheet',
+        message: '📄 Nama worksheet XLSX (kosong = sheet pertama):',
+        default: config.get('sourceSheet'),
+        when: a => a.sourceType === 'file' && /\.xlsx$/i.test(a.sourceFile)
       },
       {
         type: 'input',
         name: 'parentFolderId',
         message: '📁 Parent Folder ID (optional):',
         default: config.get('parentFolderId')
+      },
+      {
+        type: 'list',
+        name: 'role',
+        message: '🔗 Default role (jika kolom Role kosong):',
+        choices: ['reader', 'commenter', 'writer'],
+        default: this.normalizeRole(config.get('role')) || 'reader'
       }
     ]);
 
     // Save configuration
-    config.set('sheetId', answers.sheetId);
-    config.set('sheetName', answers.sheetName);
+    if (answers.sourceType === 'file') {
+      config.set('sourceFile', path.resolve(answers.sourceFile));
+      config.set('sourceSheet', answers.sourceSheet || '');
+    } else {
+      config.set('sourceFile', '');
+      config.set('sheetId', answers.sheetId);
+      config.set('sheetName', answers.sheetName);
+    }
     config.set('parentFolderId', answers.parentFolderId || '');
-    config.set('role', 'reader');
+    config.set('role', answers.role);
     // fixed behaviors: notifications off, throttle & batching from defaults
 
     console.log();
     console.log(chalk.green('✅ Konfigurasi disimpan!'));
-    this.writeLog(`Config saved: sheetId=${answers.sheetId}, sheetName=${answers.sheetName}, parentFolderId=${answers.parentFolderId || ''}`);
+    this.writeLog(`Config saved: sheetId=${answers.sheetId || ''}, sheetName=${answers.sheetName || ''}, sourceFile=${config.get('sourceFile')}, parentFolderId=${answers.parentFolderId || ''}, role=${answers.role}`);
     return true;
   }
 
+  // Print configured participant source
+  printSourceConfig() {
+    if (config.profile !== DEFAULT_PROFILE) console.log(`   👤 Profil: ${chalk.cyan(config.profile)}`);
+    if (config.get('sourceFile')) {
+      console.log(`   📄 File: ${chalk.cyan(config.get('sourceFile'))}`);
+      if (config.get('sourceSheet')) console.log(`   📄 Worksheet: ${chalk.cyan(config.get('sourceSheet'))}`);
+    } else {
+      console.log(`   📊 Sheet ID: ${chalk.cyan(config.get('sheetId'))}`);
+      console.log(`   📄 Sheet Name: ${chalk.cyan(config.get('sheetName'))}`);
+    }
+  }
+
+  // Participant source (Google Sheets or local CSV/XLSX), created from config
+  getSource() {
+    if (!this.source) {
+      this.source = createSource({
+        file: config.get('sourceFile'),
+        sheets: this.sheets,
+        sheetId: config.get('sheetId'),
+        sheetName: config.get('sourceFile') ? config.get('sourceSheet') : config.get('sheetName')
+      });
+    }
+    return this.source;
+  }
+
   // Get spreadsheet data
   async getSpreadsheetData() {
     const spinner = ora('📊 Membaca Google Sheets...').start();
@@ -372,18 +1116,13 @@ class CertificateSharing {
 
   // Get spreadsheet data (flexible mapping + auto-add columns)
   async getSpreadsheetDataFlexible() {
-    const spinner = ora('📊 Membaca Google Sheets...').start();
+    const spinner = ora('📊 Membaca data peserta...').start();
     try {
-      const sheetId = config.get('sheetId');
-      const sheetName = config.get('sheetName');
-      this.writeLog(`Reading sheet: ${sheetId} / ${sheetName}`);
+      const source = this.getSource();
+      this.writeLog(`Reading ${source.type}: ${source.describe()}`);
 
       // Read header row
-      const headerRes = await this.sheets.spreadsheets.values.get({
-        spreadsheetId: sheetId,
-        range: `${sheetName}!1:1`
-      });
-      const headers = (headerRes.data.values && headerRes.data.values[0]) || [];
+      const headers = await source.readHeaders();
       if (headers.length === 0) {
         spinner.fail();
         console.log(chalk.red('❌ Sheet kosong atau header tidak ditemukan!'));
@@ -403,8 +1142,18 @@ class CertificateSharing {
       // Detect name/email columns
       const nameCandidates = ['nama peserta','nama','nama lengkap','name','full name','participant name'];
       const emailCandidates = ['email address','email','e-mail','gmail','participant email'];
+      const revokeCandidates = ['revoke','cabut','cabut akses'];
+      const roleCandidates = ['role','akses','peran','access'];
+      const notifyCandidates = ['notify','notifikasi','kirim email','send email'];
+      const idCandidates = ['id peserta','no peserta','nomor peserta','participant id','id','nim','nik'];
+      const expiresCandidates = ['expiresat','expires at','expires','expiry','expiration','kedaluwarsa','kadaluarsa','berlaku sampai','akses sampai'];
       const nameCol = findIndexByNames(nameCandidates);
       const emailCol = findIndexByNames(emailCandidates);
+      const revokeCol = findIndexByNames(revokeCandidates);
+      const roleCol = findIndexByNames(roleCandidates);
+      const notifyCol = findIndexByNames(notifyCandidates);
+      const idCol = findIndexByNames(idCandidates);
+      const expiresCol = findIndexByNames(expiresCandidates);
       if (nameCol === -1 || emailCol === -1) {
         spinner.fail();
         console.log(chalk.red('❌ Kolom Nama/Email tidak ditemukan!'));
@@ -413,44 +1162,29 @@ class CertificateSharing {
         return null;
       }
 
-      // Helper: index -> A1 column letter
-      const toCol = (index) => {
-        let s = '';
-        let n = index + 1;
-        while (n > 0) {
-          const rem = (n - 1) % 26;
-          s = String.fromCharCode(65 + rem) + s;
-          n = Math.floor((n - 1) / 26);
-        }
-        return s;
-      };
-
-      // Ensure required columns appended if missing
-      const extras = ['FolderId','isShared','isFolderExists','LastLog'];
+      // Ensure required columns appended if missing.
+      // File mode: FileId takes the place of FolderId (snapshot, journal, verify key on it)
+      const fileMode = this.isFileMode();
+      const targetHeader = fileMode ? 'FileId' : 'FolderId';
+      const extras = [targetHeader, ...(fileMode ? ['FileLink'] : []), 'isShared','isFolderExists','LastLog','MatchCandidate','MatchScore','EmailSuggestion'];
       const missing = extras.filter(h => !headers.includes(h));
       if (missing.length > 0) {
-        const startCol = toCol(headers.length);
-        await this.sheets.spreadsheets.values.update({
-          spreadsheetId: sheetId,
-          range: `${sheetName}!${startCol}1`,
-          valueInputOption: 'RAW',
-          resource: { values: [missing] }
-        });
+        await source.writeHeaders(headers.length, missing);
         this.writeLog(`Added missing columns: ${missing.join(', ')}`);
         headers.push(...missing);
       }
 
-      const folderIdCol = headers.indexOf('FolderId');
+      const folderIdCol = headers.indexOf(targetHeader);
+      const fileLinkCol = headers.indexOf('FileLink');
       const isSharedCol = headers.indexOf('isShared');
       const isFolderExistsCol = headers.indexOf('isFolderExists');
       const lastLogCol = headers.indexOf('LastLog');
+      const matchCandidateCol = headers.indexOf('MatchCandidate');
+      const matchScoreCol = headers.indexOf('MatchScore');
+      const emailSuggestionCol = headers.indexOf('EmailSuggestion');
 
       // Read data rows widely
-      const valuesRes = await this.sheets.spreadsheets.values.get({
-        spreadsheetId: sheetId,
-        range: `${sheetName}!A:ZZ`
-      });
-      const values = valuesRes.data.values || [];
+      const values = await source.readRows();
       if (values.length <= 1) {
         spinner.fail();
         console.log(chalk.red('❌ Tidak ada data peserta (hanya header).'));
@@ -465,206 +1199,1367 @@ class CertificateSharing {
         folderId: (row[folderIdCol] || '').toString(),
         isShared: (row[isSharedCol] || '').toString(),
         isFolderExists: (row[isFolderExistsCol] || '').toString(),
-        lastLog: (row[lastLogCol] || '').toString()
+        lastLog: (row[lastLogCol] || '').toString(),
+        matchCandidate: (row[matchCandidateCol] || '').toString(),
+        emailSuggestion: (row[emailSuggestionCol] || '').toString(),
+        revoke: revokeCol !== -1 ? this.isTruthy(row[revokeCol]) : false,
+        role: roleCol !== -1 ? (row[roleCol] || '').toString().trim() : '',
+        notify: notifyCol !== -1 ? (row[notifyCol] || '').toString().trim() : '',
+        participantId: idCol !== -1 ? (row[idCol] || '').toString().trim() : '',
+        expiresAt: expiresCol !== -1 ? (row[expiresCol] || '').toString().trim() : '',
+        // All columns by header, for message placeholders
+        fields: Object.fromEntries(headers.map((h, i) => [String(h || '').trim(), (row[i] || '').toString()]).filter(([h]) => h))
       }));
 
+      // Row fingerprints for incremental polling; status columns written by this tool are left out
+      const outputCols = new Set([fileLinkCol, isFolderExistsCol, lastLogCol, matchCandidateCol, matchScoreCol, emailSuggestionCol]);
+      for (const p of participants) p.fingerprint = this.rowFingerprint(values[p.rowIndex - 1], outputCols);
+
+      // Row -> email, to check saved writes still target the same person
+      this.rowIdentity = new Map(participants.map(p => [p.rowIndex, p.email.trim().toLowerCase()]));
+
       spinner.succeed(`📊 Found ${chalk.green(participants.length)} participants`);
       this.writeLog(`Participants: ${participants.length}`);
-      return { participants, headers, columns: { nameCol, emailCol, folderIdCol, isSharedCol, isFolderExistsCol, lastLogCol, toCol } };
+      return { participants, headers, columns: { nameCol, emailCol, folderIdCol, fileLinkCol, isSharedCol, isFolderExistsCol, lastLogCol, matchCandidateCol, matchScoreCol, emailSuggestionCol, revokeCol, roleCol, notifyCol, idCol, expiresCol, toCol } };
     } catch (error) {
       spinner.fail();
-      console.log(chalk.red(`❌ Sheets Error: ${error.message}`));
-      this.writeLog(`Sheets Error: ${error.message}`, 'error');
+      console.log(chalk.red(`❌ Source Error: ${error.message}`));
+      this.writeLog(`Source Error: ${error.message}`, 'error');
       return null;
     }
   }
 
-  // Find folder by name
+  rowFingerprint(row, skipCols) {
+    const cells = Array.from(row || [], (v, i) => (skipCols.has(i) || v === undefined || v === null ? '' : String(v).trim()));
+    while (cells.length && cells[cells.length - 1] === '') cells.pop();
+    return crypto.createHash('sha1').update(cells.join('\u001f')).digest('hex').slice(0, 16);
+  }
+
+  // Find folder by name (only confident matches; see matchFolder)
   async findFolderByName(name, parentFolderId = null) {
-    // Fixed recursive search depth = 3
+    const result = await this.matchFolder(name, parentFolderId);
+    return result.folderId || null;
+  }
+
+  // Match a participant name to a folder.
+  // status: exact | normalized | fuzzy (folderId set) or review | ambiguous | none (candidates only)
+  async matchFolder(name, parentFolderId = null) {
     const targetName = (name || '').toString();
-    const targetLower = targetName.toLowerCase();
-    if (!targetName) return null;
+    if (!targetName) return { status: 'none', folderId: null, candidates: [] };
 
     // If no parent specified, fall back to global search by name
     if (!parentFolderId) {
       try {
-        // Case-insensitive approach: use contains, then filter by exact (lowercase) match
-        let query = `mimeType='application/vnd.google-apps.folder' and name contains '${targetName.replace(/'/g, "\\'")}' and trashed=false`;
-        let attempt = 0;
-        const maxAttempts = 5;
-        while (true) {
-          try {
-            await this.throttle();
-            const response = await this.drive.files.list({
-              q: query,
-              spaces: 'drive',
-              fields: 'files(id,name,parents)',
-              includeItemsFromAllDrives: true,
-              supportsAllDrives: true,
-              pageSize: 10
-            });
-            const files = (response.data.files || []).filter(f => (f.name || '').toLowerCase() === targetLower);
-            return files && files.length > 0 ? files[0].id : null;
-          } catch (err) {
-            this.dlog('files.list(global) error:', this.formatErrorSummary(err));
-            attempt++;
-            if (this.isRetryableRateLimit(err) && attempt < maxAttempts) {
-              const base = Math.min(60000, Math.pow(2, attempt) * 1000);
-              const jitter = Math.floor(Math.random() * 500);
-              await this.sleep(base + jitter);
-              continue;
-            }
-            throw this.wrapError('drive.files.list', { query }, err);
-          }
-        }
+        return this.classifyFolderMatches(targetName, await this.searchByName(targetName, { folders: true }));
       } catch {
-        return null;
+        return { status: 'none', folderId: null, candidates: [] };
       }
     }
 
-    // BFS up to depth 3 starting from parentFolderId
-    const maxDepth = 3;
-    const queue = [{ id: parentFolderId, depth: 0 }];
-
-    const listSubfolders = async (parentId) => {
-      let all = [];
-      let pageToken = undefined;
-      do {
-        await this.throttle();
-        const res = await this.drive.files.list({
-          q: `'${parentId}' in parents and mimeType='application/vnd.google-apps.folder' and trashed=false`,
-          spaces: 'drive',
-          fields: 'nextPageToken, files(id,name,parents)',
-          includeItemsFromAllDrives: true,
-          supportsAllDrives: true,
-          pageSize: 100,
-          pageToken
-        });
-        all = all.concat(res.data.files || []);
-        pageToken = res.data.nextPageToken || undefined;
-      } while (pageToken);
-      return all;
-    };
+    // Lookup in the pre-built folder index (see ensureFolderIndex)
+    if (!this.folderIndex || this.folderIndex.parentId !== parentFolderId) {
+      await this.ensureFolderIndex(parentFolderId);
+    }
+    return this.lookupFolderInIndex(targetName);
+  }
 
-    while (queue.length) {
-      const current = queue.shift();
-      if (!current) break;
-      if (current.depth > maxDepth) continue;
-      try {
-        const children = await listSubfolders(current.id);
-        // Check match on this level (case-insensitive)
-        const hit = children.find(f => (f.name || '').toLowerCase() === targetLower);
-        if (hit) return hit.id;
-        // Enqueue next level
-        if (current.depth < maxDepth) {
-          for (const c of children) {
-            queue.push({ id: c.id, depth: current.depth + 1 });
-          }
-        }
-      } catch (err) {
-        if (this.isRetryableRateLimit(err)) {
-          // Soft wait and continue
-          await this.sleep(1000);
-          queue.push({ id: current.id, depth: current.depth });
-          continue;
-        }
-        this.dlog('files.list(children) error:', this.formatErrorSummary(err));
-        // Non-retryable: skip this branch
-      }
+  // Global Drive search by name (folders or files); retries with the longest
+  // word of the normalized name when nothing matches (titles/spacing differ)
+  async searchByName(name, { folders = true } = {}) {
+    const search = async (term) => {
+      const type = folders ? "mimeType='application/vnd.google-apps.folder'" : "mimeType!='application/vnd.google-apps.folder'";
+      const query = `${type} and name contains '${term.replace(/'/g, "\\'")}' and trashed=false`;
+      const response = await this.withRetry('drive.files.list', { query }, () => this.drive.files.list({
+        q: query,
+        spaces: 'drive',
+        fields: 'files(id,name,parents)',
+        includeItemsFromAllDrives: true,
+        supportsAllDrives: true,
+        pageSize: 50
+      }), 5);
+      return (response.data.files || []).map(f => ({ id: f.id, name: f.name || '', parents: f.parents || [] }));
+    };
+    let found = await search(name);
+    if (found.length === 0) {
+      const longest = this.normalizeName(name).split(' ').sort((x, y) => y.length - x.length)[0] || '';
+      if (longest.length >= 3) found = await search(longest);
     }
-    return null;
+    return found;
   }
 
-  // Check if user has permission
-  async hasPermission(fileId, email, role) {
-    try {
-      let attempt = 0;
-      const maxAttempts = 5;
-      while (true) {
-        try {
-          await this.throttle();
-          const response = await this.drive.permissions.list({
-            fileId: fileId,
-            fields: 'permissions(emailAddress,role)',
-            supportsAllDrives: true
-          });
-          const permissions = response.data.permissions || [];
-          return permissions.some(p => 
-            p.emailAddress && p.emailAddress.toLowerCase() === email.toLowerCase() && p.role === role
-          );
-        } catch (err) {
-          this.dlog('permissions.list error:', this.formatErrorSummary(err));
-          attempt++;
-          if (this.isRetryableRateLimit(err) && attempt < maxAttempts) {
-            const base = Math.min(60000, Math.pow(2, attempt) * 1000);
-            const jitter = Math.floor(Math.random() * 500);
-            await this.sleep(base + jitter);
-            continue;
-          }
-          throw this.wrapError('drive.permissions.list', { fileId, email, role }, err);
-        }
-      }
-    } catch (error) {
-      return false;
+  // Email check for a row: revoke rows only need valid syntax; isShared=APPROVED
+  // (reviewer confirmed the address) skips the typo check but not the domain policy
+  checkParticipantEmail(participant) {
+    const list = (envName, key) => (process.env[envName] ? process.env[envName].split(',') : (config.get(key) || []));
+    const envDisposable = process.env.EMAIL_BLOCK_DISPOSABLE;
+    // APPROVED by a reviewer, or shared before (TRUE/EXPIRED, e.g. a Role upgrade): typo already accepted
+    const approved = ['APPROVED', 'TRUE', 'EXPIRED'].includes(String(participant.isShared || '').trim().toUpperCase());
+    if (participant.revoke) {
+      return checkEmail(participant.email, { skipTypo: true });
     }
+    return checkEmail(participant.email, {
+      allow: list('EMAIL_ALLOW_DOMAINS', 'emailAllowDomains'),
+      deny: list('EMAIL_DENY_DOMAINS', 'emailDenyDomains'),
+      blockDisposable: typeof envDisposable === 'string' ? envDisposable === 'true' : !!config.get('emailBlockDisposable'),
+      skipTypo: approved || config.get('emailTypoCheck') === false
+    });
   }
 
-  // Grant permission
-  async grantPermission(fileId, email) {
-    const role = 'reader';
-    const dryRun = config.get('dryRun');
+  // Share whole folders (default) or single certificate files (SHARE_MODE=file)
+  isFileMode() {
+    return String(process.env.SHARE_MODE || config.get('shareMode') || 'folder').toLowerCase() === 'file';
+  }
 
-    if (dryRun) {
-      return { status: 'DRY_RUN' };
+  // Allowed certificate extensions in file mode (lowercase, with dot; empty = any)
+  getFileExtensions() {
+    const raw = process.env.FILE_EXTENSIONS ? process.env.FILE_EXTENSIONS.split(',') : (config.get('fileExtensions') || []);
+    return raw.map(e => String(e).trim().toLowerCase()).filter(Boolean).map(e => (e.startsWith('.') ? e : `.${e}`));
+  }
+
+  // File mode: match a participant to a certificate file in parentFolderId
+  // (or anywhere in Drive without a parent). Same result shape as matchFolder.
+  async matchFile(participant, parentFolderId = null) {
+    const none = { status: 'none', folderId: null, candidates: [] };
+    const pattern = process.env.FILE_NAME_PATTERN || config.get('fileNamePattern') || '';
+    const fields = { ...participant.fields, Nama: participant.nama, ID: participant.participantId };
+    const target = pattern ? this.renderTemplate(pattern, fields).trim() : participant.nama;
+    if (!target || target === '*') return none;
+
+    const exts = this.getFileExtensions();
+    const withBase = (f) => {
+      const ext = path.extname(f.name).toLowerCase();
+      return { id: f.id, name: exts.length === 0 || exts.includes(ext) ? path.basename(f.name, path.extname(f.name)) : null, fileName: f.name };
+    };
+    const literal = target.replace(/\*/g, ' ').trim();
+    const files = (parentFolderId ? await this.getFileList(parentFolderId) : await this.searchByName(literal, { folders: false }))
+      .map(withBase)
+      .filter(f => f.name !== null);
+
+    // "*" in the pattern: wildcard on the base name, exact matches only
+    if (target.includes('*')) {
+      const escaped = target.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+      const re = new RegExp(`^${escaped.join('.*')}$`, 'i');
+      const hits = files.filter(f => re.test(f.name)).map(f => ({ id: f.id, name: f.fileName, score: 1 }));
+      if (hits.length === 1) return { status: 'exact', folderId: hits[0].id, candidates: hits };
+      return hits.length > 1 ? { status: 'ambiguous', folderId: null, candidates: hits.slice(0, 3) } : none;
     }
+    const result = this.classifyFolderMatches(target, files);
+    const fileNames = new Map(files.map(f => [f.id, f.fileName]));
+    return { ...result, candidates: result.candidates.map(c => ({ ...c, name: fileNames.get(c.id) || c.name })) };
+  }
 
-    let attempt = 0;
-    const maxAttempts = 6;
-    const capMs = 60000; // 60s
-    while (true) {
+  // Files (not folders) directly in parentId, listed once per run
+  async getFileList(parentId) {
+    if (this.fileList && this.fileList.parentId === parentId) return this.fileList.files;
+    const files = await this.listChildren(parentId, { folders: false });
+    this.fileList = { parentId, files };
+    this.writeLog(`File list for ${parentId}: ${files.length} files`);
+    return files;
+  }
+
+  // Web link written to FileLink / used as {{FileLink}}
+  fileLink(fileId) {
+    return `https://drive.google.com/file/d/${fileId}/view`;
+  }
+
+  // Normalize a person/folder name: diacritics, titles, punctuation, whitespace
+  normalizeName(name) {
+    const titles = new Set((config.get('nameTitles') || []).map(t => String(t).toLowerCase().replace(/[^a-z0-9]/g, '')));
+    const tokens = (name || '').toString()
+      .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .split(/[\s,]+/)
+      .filter(Boolean)
+      // "S.Kom" / "Dr." → "skom" / "dr" before comparing with the title list
+      .filter(t => !titles.has(t.replace(/[^a-z0-9]/g, '')));
+    return tokens.join(' ').replace(/[^a-z0-9 ]+/g, ' ').replace(/\s+/g, ' ').trim();
+  }
+
+  // Similarity 0..1 (Levenshtein ratio, also on sorted words to allow reordering)
+  nameSimilarity(a, b) {
+    const ratio = (x, y) => {
+      if (x === y) return 1;
+      if (!x.length || !y.length) return 0;
+      let prev = Array.from({ length: y.length + 1 }, (_, i) => i);
+      for (let i = 1; i <= x.length; i++) {
+        const cur = [i];
+        for (let j = 1; j <= y.length; j++) {
+          cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (x[i - 1] === y[j - 1] ? 0 : 1));
+        }
+        prev = cur;
+      }
+      return 1 - prev[y.length] / Math.max(x.length, y.length);
+    };
+    const sorted = (x) => x.split(' ').sort().join(' ');
+    return Math.max(ratio(a, b), ratio(sorted(a), sorted(b)));
+  }
+
+  // Classify candidate folders [{id,name}] (shallowest first) against a participant name
+  classifyFolderMatches(targetName, candidates) {
+    const autoScore = Number(config.get('matchAutoScore')) || 0.92;
+    const reviewScore = Number(config.get('matchReviewScore')) || 0.75;
+    const targetLower = targetName.toLowerCase();
+    const targetNorm = this.normalizeName(targetName);
+
+    const exact = candidates.filter(c => c.name.toLowerCase() === targetLower);
+    if (exact.length === 1) return { status: 'exact', folderId: exact[0].id, candidates: [{ ...exact[0], score: 1 }] };
+    if (exact.length > 1) return { status: 'ambiguous', folderId: null, candidates: exact.map(c => ({ ...c, score: 1 })) };
+    if (!targetNorm) return { status: 'none', folderId: null, candidates: [] };
+
+    const normalized = candidates.filter(c => this.normalizeName(c.name) === targetNorm);
+    if (normalized.length === 1) return { status: 'normalized', folderId: normalized[0].id, candidates: [{ ...normalized[0], score: 1 }] };
+    if (normalized.length > 1) return { status: 'ambiguous', folderId: null, candidates: normalized.map(c => ({ ...c, score: 1 })) };
+
+    return this.fuzzyFolderMatch(targetNorm, candidates.map(c => ({ ...c, norm: this.normalizeName(c.name) })), autoScore, reviewScore);
+  }
+
+  // Score normalized candidates; auto-accept only a clear winner
+  fuzzyFolderMatch(targetNorm, candidates, autoScore, reviewScore) {
+    const scored = [];
+    for (const c of candidates) {
+      if (!c.norm) continue;
+      // Cheap length filter before Levenshtein
+      const longer = Math.max(c.norm.length, targetNorm.length);
+      if (Math.abs(c.norm.length - targetNorm.length) / longer > (1 - reviewScore)) continue;
+      const score = this.nameSimilarity(targetNorm, c.norm);
+      if (score >= reviewScore) scored.push({ id: c.id, name: c.name, score: Math.round(score * 100) / 100 });
+    }
+    scored.sort((x, y) => y.score - x.score);
+    if (scored.length === 0) return { status: 'none', folderId: null, candidates: [] };
+    const [best, second] = scored;
+    const close = second && (best.score - second.score) < 0.05;
+    if (close) return { status: 'ambiguous', folderId: null, candidates: scored.slice(0, 3) };
+    if (best.score >= autoScore) return { status: 'fuzzy', folderId: best.id, candidates: [best] };
+    return { status: 'review', folderId: null, candidates: [best] };
+  }
+
+  // Configured folder search depth (env FOLDER_MAX_DEPTH overrides)
+  getFolderMaxDepth() {
+    const envDepth = process.env.FOLDER_MAX_DEPTH ? Number(process.env.FOLDER_MAX_DEPTH) : undefined;
+    if (Number.isFinite(envDepth) && envDepth >= 0) return envDepth;
+    const depth = Number(config.get('folderMaxDepth'));
+    return Number.isFinite(depth) && depth >= 0 ? depth : 3;
+  }
+
+  // List direct subfolders of a folder (paginated)
+  async listSubfolders(parentId) {
+    return this.listChildren(parentId, { folders: true });
+  }
+
+  // List direct children of a folder: subfolders, or files when folders=false (paginated)
+  async listChildren(parentId, { folders = true } = {}) {
+    const type = folders ? "mimeType='application/vnd.google-apps.folder'" : "mimeType!='application/vnd.google-apps.folder'";
+    let all = [];
+    let pageToken = undefined;
+    do {
+      const res = await this.withRetry('drive.files.list', { parentId }, () => this.drive.files.list({
+        q: `'${parentId}' in parents and ${type} and trashed=false`,
+        spaces: 'drive',
+        fields: 'nextPageToken, files(id,name,parents)',
+        includeItemsFromAllDrives: true,
+        supportsAllDrives: true,
+        pageSize: 1000,
+        pageToken
+      }), 5);
+      all = all.concat(res.data.files || []);
+      pageToken = res.data.nextPageToken || undefined;
+    } while (pageToken);
+    return all;
+  }
+
+  // BFS under startId, adding folders to index.folders (children of folders up to maxDepth)
+  async indexSubtree(index, startId, startDepth) {
+    const queue = [{ id: startId, depth: startDepth }];
+    while (queue.length) {
+      const current = queue.shift();
+      if (current.depth > index.maxDepth) continue;
+      try {
+        const children = await this.listSubfolders(current.id);
+        for (const c of children) {
+          index.folders[c.id] = { name: c.name || '', parent: current.id, depth: current.depth + 1 };
+          if (current.depth + 1 <= index.maxDepth) queue.push({ id: c.id, depth: current.depth + 1 });
+        }
+      } catch (err) {
+        // Parent folder itself unreadable: no index at all
+        if (current.id === index.parentId) throw err;
+        // Branch left out: the index is only used for this run (not cached, no auto-create)
+        index.incomplete = true;
+        this.writeLog(`Folder index: subfolders of ${current.id} not listed, index incomplete: ${this.formatErrorSummary(err)}`, 'warn');
+      }
+    }
+  }
+
+  // Remove a folder and everything indexed below it
+  removeFromFolderIndex(index, folderId) {
+    const drop = new Set([folderId]);
+    let grew = true;
+    while (grew) {
+      grew = false;
+      for (const [id, f] of Object.entries(index.folders)) {
+        if (!drop.has(id) && drop.has(f.parent)) { drop.add(id); grew = true; }
+      }
+    }
+    for (const id of drop) delete index.folders[id];
+  }
+
+  // Full rebuild of the folder index for parentId
+  async buildFolderIndex(parentId, maxDepth) {
+    const spinner = ora(`📁 Membangun index folder (depth ${maxDepth})...`).start();
+    const tokenRes = await this.withRetry('drive.changes.getStartPageToken', { parentId }, () => this.drive.changes.getStartPageToken({ supportsAllDrives: true }));
+    const index = { parentId, maxDepth, builtAt: Date.now(), refreshedAt: Date.now(), pageToken: tokenRes.data.startPageToken, folders: {} };
+    await this.indexSubtree(index, parentId, 0);
+    if (index.incomplete) spinner.warn(`📁 Index folder: ${chalk.yellow(Object.keys(index.folders).length)} folder (tidak lengkap, sebagian folder gagal dibaca)`);
+    else spinner.succeed(`📁 Index folder: ${chalk.green(Object.keys(index.folders).length)} folder`);
+    this.writeLog(`Folder index built for ${parentId}: ${Object.keys(index.folders).length} folders, depth=${maxDepth}`);
+    return index;
+  }
+
+  // Apply Drive changes since the last refresh (new, renamed, moved, trashed folders)
+  async refreshFolderIndex(index) {
+    let pageToken = index.pageToken;
+    const changed = [];
+    while (pageToken) {
+      const res = await this.withRetry('drive.changes.list', { pageToken }, () => this.drive.changes.list({
+        pageToken,
+        fields: 'nextPageToken, newStartPageToken, changes(fileId, removed, file(id,name,mimeType,parents,trashed))',
+        includeItemsFromAllDrives: true,
+        supportsAllDrives: true,
+        pageSize: 1000
+      }));
+      for (const ch of res.data.changes || []) {
+        if (ch.removed || !ch.file || ch.file.trashed) {
+          if (index.folders[ch.fileId]) changed.push({ id: ch.fileId, removed: true });
+        } else if (ch.file.mimeType === 'application/vnd.google-apps.folder') {
+          changed.push({ id: ch.file.id, name: ch.file.name || '', parent: (ch.file.parents || [])[0], removed: false });
+        }
+      }
+      if (res.data.newStartPageToken) index.pageToken = res.data.newStartPageToken;
+      pageToken = res.data.nextPageToken;
+    }
+
+    const depthOf = (id) => (id === index.parentId ? 0 : (index.folders[id] ? index.folders[id].depth : -1));
+    let pending = changed;
+    let progressed = true;
+    // Several passes: a new parent may come after its new child in the change list
+    while (pending.length && progressed) {
+      progressed = false;
+      const next = [];
+      for (const c of pending) {
+        if (c.removed) {
+          this.removeFromFolderIndex(index, c.id);
+          progressed = true;
+          continue;
+        }
+        const known = index.folders[c.id];
+        const parentDepth = depthOf(c.parent);
+        if (parentDepth === -1 || parentDepth > index.maxDepth) {
+          // Not (or no longer) under parentFolderId
+          if (known) { this.removeFromFolderIndex(index, c.id); progressed = true; } else next.push(c);
+          continue;
+        }
+        const moved = !known || known.parent !== c.parent;
+        if (known && moved) this.removeFromFolderIndex(index, c.id);
+        index.folders[c.id] = { name: c.name, parent: c.parent, depth: parentDepth + 1 };
+        // Folder moved in: index its existing subfolders as well
+        if (moved && parentDepth + 1 <= index.maxDepth) await this.indexSubtree(index, c.id, parentDepth + 1);
+        progressed = true;
+      }
+      pending = next;
+    }
+    index.refreshedAt = Date.now();
+    if (changed.length) this.writeLog(`Folder index refreshed: ${changed.length} folder changes`);
+    return index;
+  }
+
+  // Load cached folder index (TTL), refresh incrementally or rebuild
+  async ensureFolderIndex(parentId) {
+    const maxDepth = this.getFolderMaxDepth();
+    const ttlMs = (Number(config.get('folderIndexTtlMin')) || 1440) * 60000;
+    const name = `folders-${this.hashKey(parentId)}.json`;
+    let index = (this.folderIndex && this.folderIndex.parentId === parentId) ? this.folderIndex : this.readStateFile(name, null);
+
+    const usable = index && !index.incomplete && index.parentId === parentId && index.maxDepth === maxDepth && index.pageToken && (Date.now() - index.builtAt) < ttlMs;
+    try {
+      if (usable) {
+        index = await this.refreshFolderIndex(index);
+      } else {
+        index = await this.buildFolderIndex(parentId, maxDepth);
+      }
+    } catch (error) {
+      this.writeLog(`Folder index refresh failed, rebuilding: ${this.formatErrorSummary(error)}`, 'warn');
+      index = await this.buildFolderIndex(parentId, maxDepth);
+    }
+
+    this.folderIndex = index;
+    this.folderNameMap = new Map();
+    this.folderNormMap = new Map();
+    // Shallowest folder first, like the old BFS
+    const entries = Object.entries(index.folders).sort((x, y) => x[1].depth - y[1].depth);
+    const push = (map, key, entry) => {
+      if (!map.has(key)) map.set(key, []);
+      map.get(key).push(entry);
+    };
+    for (const [id, f] of entries) {
+      const entry = { id, name: f.name || '', norm: this.normalizeName(f.name) };
+      push(this.folderNameMap, entry.name.toLowerCase(), entry);
+      push(this.folderNormMap, entry.norm, entry);
+    }
+    if (!index.incomplete) this.writeStateFile(name, index);
+    return index;
+  }
+
+  // Match a name against the index: exact, normalized, then fuzzy over all folders
+  lookupFolderInIndex(name, { fuzzy = true } = {}) {
+    const none = { status: 'none', folderId: null, candidates: [] };
+    if (!this.folderNameMap) return none;
+    const targetName = (name || '').toString();
+    const strip = ({ id, name }) => ({ id, name, score: 1 });
+
+    const exact = this.folderNameMap.get(targetName.toLowerCase()) || [];
+    if (exact.length === 1) return { status: 'exact', folderId: exact[0].id, candidates: exact.map(strip) };
+    if (exact.length > 1) return { status: 'ambiguous', folderId: null, candidates: exact.map(strip) };
+
+    const targetNorm = this.normalizeName(targetName);
+    if (!targetNorm) return none;
+    const normalized = this.folderNormMap.get(targetNorm) || [];
+    if (normalized.length === 1) return { status: 'normalized', folderId: normalized[0].id, candidates: normalized.map(strip) };
+    if (normalized.length > 1) return { status: 'ambiguous', folderId: null, candidates: normalized.map(strip) };
+    if (!fuzzy) return none;
+
+    const all = [];
+    for (const list of this.folderNormMap.values()) all.push(...list);
+    return this.fuzzyFolderMatch(targetNorm, all, Number(config.get('matchAutoScore')) || 0.92, Number(config.get('matchReviewScore')) || 0.75);
+  }
+
+  // Folder/file a row will probably be checked on, found without API calls (permission prefetch)
+  async guessRowTarget(participant, parentFolderId, fileMode) {
+    if (participant.folderId) return participant.folderId;
+    if (!parentFolderId) return null;
+    if (fileMode) return (await this.matchFile(participant, parentFolderId)).folderId;
+    return this.lookupFolderInIndex(participant.nama, { fuzzy: false }).folderId;
+  }
+
+  // Create a participant folder under parentId and add it to the folder index
+  async createFolder(name, parentId) {
+    const res = await this.withRetry('drive.files.create(folder)', { name, parentId }, () => this.drive.files.create({
+      resource: {
+        name,
+        mimeType: 'application/vnd.google-apps.folder',
+        parents: [parentId]
+      },
+      fields: 'id,name',
+      supportsAllDrives: true
+    }));
+    const folder = res.data;
+    if (this.folderIndex && this.folderIndex.parentId === parentId) {
+      this.folderIndex.folders[folder.id] = { name: folder.name, parent: parentId, depth: 1 };
+      const entry = { id: folder.id, name: folder.name, norm: this.normalizeName(folder.name) };
+      for (const [map, key] of [[this.folderNameMap, entry.name.toLowerCase()], [this.folderNormMap, entry.norm]]) {
+        if (!map.has(key)) map.set(key, []);
+        map.get(key).push(entry);
+      }
+    }
+    return folder.id;
+  }
+
+  // Scan the local upload directory once per run (env UPLOAD_DIR overrides)
+  loadUploadDir() {
+    const dir = process.env.UPLOAD_DIR || config.get('uploadDir');
+    if (!dir) return null;
+    const absDir = path.resolve(dir);
+    if (!fs.existsSync(absDir)) {
+      console.log(chalk.yellow(`⚠️  Folder upload tidak ditemukan: ${absDir}`));
+      this.writeLog(`Upload dir not found: ${absDir}`, 'warn');
+      return null;
+    }
+    return fs.readdirSync(absDir, { withFileTypes: true })
+      .filter(e => e.isFile() && !e.name.startsWith('.'))
+      .map(e => {
+        const base = path.basename(e.name, path.extname(e.name));
+        return { name: e.name, filePath: path.join(absDir, e.name), base: base.toLowerCase(), norm: this.normalizeName(base) };
+      });
+  }
+
+  // Local files for a participant: base name = Nama (normalized) or the ID column, or "<ID>_..."/"<ID> - ..."
+  findLocalFiles(files, participant) {
+    if (!files) return [];
+    const norm = this.normalizeName(participant.nama);
+    const id = (participant.participantId || '').toLowerCase();
+    return files.filter(f => {
+      if (norm && f.norm === norm) return true;
+      if (!id) return false;
+      return f.base === id || f.base.startsWith(`${id}_`) || f.base.startsWith(`${id} `) || f.base.startsWith(`${id}-`);
+    });
+  }
+
+  // MD5 of a local file, as Drive reports it (md5Checksum)
+  md5File(filePath) {
+    return crypto.createHash('md5').update(fs.readFileSync(filePath)).digest('hex');
+  }
+
+  // Upload matching local files into a folder; skip identical (MD5), update changed ones
+  async uploadCertificates(folderId, files) {
+    const result = { uploaded: 0, updated: 0, skipped: 0 };
+    if (!files || files.length === 0) return result;
+    const dryRun = config.get('dryRun');
+    const mimeTypes = { '.pdf': 'application/pdf', '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.zip': 'application/zip' };
+
+    const listRes = await this.withRetry('drive.files.list(upload)', { folderId }, () => this.drive.files.list({
+      q: `'${folderId}' in parents and mimeType!='application/vnd.google-apps.folder' and trashed=false`,
+      fields: 'files(id,name,md5Checksum)',
+      includeItemsFromAllDrives: true,
+      supportsAllDrives: true,
+      pageSize: 1000
+    }));
+    const existing = listRes.data.files || [];
+
+    for (const file of files) {
+      const md5 = this.md5File(file.filePath);
+      const sameName = existing.find(e => e.name === file.name);
+      if ((sameName && sameName.md5Checksum === md5) || (!sameName && existing.some(e => e.md5Checksum === md5))) {
+        result.skipped++;
+        continue;
+      }
+      if (dryRun) {
+        sameName ? result.updated++ : result.uploaded++;
+        continue;
+      }
+      const mimeType = mimeTypes[path.extname(file.name).toLowerCase()] || 'application/octet-stream';
+      if (sameName) {
+        await this.withRetry('drive.files.update(upload)', { folderId, file: file.name }, () => this.drive.files.update({
+          fileId: sameName.id,
+          media: { mimeType, body: fs.createReadStream(file.filePath) },
+          fields: 'id,md5Checksum',
+          supportsAllDrives: true
+        }));
+        result.updated++;
+      } else {
+        await this.withRetry('drive.files.create(upload)', { folderId, file: file.name }, () => this.drive.files.create({
+          resource: { name: file.name, parents: [folderId] },
+          media: { mimeType, body: fs.createReadStream(file.filePath) },
+          fields: 'id,md5Checksum',
+          supportsAllDrives: true
+        }));
+        result.uploaded++;
+      }
+    }
+    return result;
+  }
+
+  // Role hierarchy for Drive permissions (higher = more access)
+  roleRank(role) {
+    const ranks = { reader: 1, commenter: 2, writer: 3, fileOrganizer: 4, organizer: 5, owner: 6 };
+    return ranks[role] || 0;
+  }
+
+  // Normalize a role value from the sheet/config; null when not supported
+  normalizeRole(value) {
+    const v = String(value || '').trim().toLowerCase();
+    const aliases = { viewer: 'reader', pembaca: 'reader', commenter: 'commenter', komentator: 'commenter', editor: 'writer', writer: 'writer', reader: 'reader' };
+    return aliases[v] || null;
+  }
+
+  // Find the strongest direct user permission of email on a file/folder
+  async findUserPermission(fileId, email) {
+    try {
+      const target = (email || '').toLowerCase();
+      const permissions = await this.listPermissions(fileId);
+      const matches = permissions
+        .filter(p => p.type === 'user' && (p.emailAddress || '').toLowerCase() === target)
+        .sort((x, y) => this.roleRank(y.role) - this.roleRank(x.role));
+      return matches[0] || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Check if user has permission (same or higher role)
+  async hasPermission(fileId, email, role) {
+    const existing = await this.findUserPermission(fileId, email);
+    return !!existing && this.roleRank(existing.role) >= this.roleRank(role);
+  }
+
+  // Grant permission; expiresAt (Date) is set as Drive expirationTime when Drive accepts it
+  // (result.expirationOnDrive), otherwise the caller keeps the expiry locally
+  async grantPermission(fileId, email, role = 'reader', notification = null, expiresAt = null) {
+    const dryRun = config.get('dryRun');
+
+    if (dryRun) {
+      return { status: 'DRY_RUN' };
+    }
+
+    this.ensureShareQuota();
+    const create = (expirationTime) => this.withRetry('drive.permissions.create', { fileId, email, role, notify: !!notification, expirationTime }, () => this.drive.permissions.create(
+      this.permissionCreateParams(fileId, email, role, notification, expirationTime)
+    )).then((response) => {
+      if (this.accountPool) this.accountPool.recordShare(this.serviceAccountEmail);
+      return response;
+    });
+    if (expiresAt && this.canUseDriveExpiration(expiresAt)) {
+      try {
+        const response = await create(expiresAt.toISOString());
+        return { ...response.data, expirationOnDrive: true };
+      } catch (error) {
+        if (!this.isExpirationRejected(error)) throw error;
+      }
+    }
+    const response = await create(null);
+    return { ...response.data, expirationOnDrive: false };
+  }
+
+  // permissions.create params for one user grant (also used for batch sub-requests)
+  permissionCreateParams(fileId, email, role, notification, expirationTime) {
+    const notifyOpts = notification
+      ? { sendNotificationEmail: true, emailMessage: notification.message || undefined }
+      : { sendNotificationEmail: false };
+    return {
+      fileId: fileId,
+      ...notifyOpts,
+      supportsAllDrives: true,
+      resource: {
+        type: 'user',
+        role: role,
+        emailAddress: email,
+        ...(expirationTime ? { expirationTime } : {})
+      }
+    };
+  }
+
+  // Sub-requests per Drive batch (env DRIVE_BATCH_SIZE or config); 0 = no batching (backend without it, or size 1)
+  getDriveBatchSize() {
+    if (!this.driveBatch) return 0;
+    const env = process.env.DRIVE_BATCH_SIZE;
+    const size = Math.min(MAX_BATCH_SIZE, Math.floor(Number(typeof env === 'string' ? env : config.get('driveBatchSize')) || 0));
+    return size > 1 ? size : 0;
+  }
+
+  // Grant several permissions through Drive batch requests; one result per item, { granted } or { error }.
+  // Rate-limited (or expiry-rejected) sub-requests go again one by one through grantPermission
+  async grantPermissions(items) {
+    const results = [];
+    const batchSize = this.getDriveBatchSize() || 1;
+    while (results.length < items.length) {
+      try {
+        this.ensureShareQuota();
+      } catch (error) {
+        // Share quota used up on every account: the rest is not attempted
+        while (results.length < items.length) results.push({ error });
+        break;
+      }
+      const left = this.accountPool ? this.accountPool.remaining(this.serviceAccountEmail) : Infinity;
+      const chunk = items.slice(results.length, results.length + Math.min(batchSize, left));
+      const withExpiry = chunk.map(item => !!item.expiresAt && this.canUseDriveExpiration(item.expiresAt));
+      const requests = chunk.map((item, i) => ({
+        method: 'permissions.create',
+        params: this.permissionCreateParams(item.fileId, item.email, item.role, item.notification, withExpiry[i] ? item.expiresAt.toISOString() : null)
+      }));
+      let responses;
+      try {
+        responses = await this.withRetry('drive.permissions.create(batch)', { count: chunk.length }, () => this.driveBatch(requests));
+      } catch (error) {
+        for (let i = 0; i < chunk.length; i++) results.push({ error });
+        continue;
+      }
+      // The account that sent the batch (retries below may rotate to the next one)
+      const account = this.serviceAccountEmail;
+      for (const [i, item] of chunk.entries()) {
+        const { data, error } = responses[i];
+        if (!error) {
+          if (this.accountPool) this.accountPool.recordShare(account);
+          results.push({ granted: { ...data, expirationOnDrive: withExpiry[i] } });
+          continue;
+        }
+        this.dlog(`drive.permissions.create(batch) ${item.email} error:`, this.formatErrorSummary(error));
+        if (this.isRetryableRateLimit(error) || (withExpiry[i] && this.isExpirationRejected(error))) {
+          try {
+            results.push({ granted: await this.grantPermission(item.fileId, item.email, item.role, item.notification, item.expiresAt) });
+          } catch (retryError) {
+            results.push({ error: retryError });
+          }
+          continue;
+        }
+        results.push({ error: this.wrapError('drive.permissions.create', { fileId: item.fileId, email: item.email, role: item.role }, error) });
+      }
+    }
+    return results;
+  }
+
+  // Fetch the permission lists of several files in Drive batch requests; listPermissions then
+  // uses them once. Failed sub-requests (and long lists) are left to listPermissions
+  async prefetchPermissions(fileIds) {
+    const batchSize = this.getDriveBatchSize();
+    const ids = [...new Set(fileIds.filter(Boolean))].filter(id => !this.permissionCache.has(id));
+    if (!batchSize || ids.length < 2) return;
+    for (let start = 0; start < ids.length; start += batchSize) {
+      const chunk = ids.slice(start, start + batchSize);
+      let responses;
+      try {
+        responses = await this.withRetry('drive.permissions.list(batch)', { count: chunk.length }, () => this.driveBatch(chunk.map(fileId => ({
+          method: 'permissions.list',
+          params: { fileId, fields: PERMISSION_LIST_FIELDS, supportsAllDrives: true, pageSize: 100 }
+        }))), 5);
+      } catch (error) {
+        this.writeLog(`Permission prefetch failed: ${this.formatErrorSummary(error)}`, 'warn');
+        return;
+      }
+      chunk.forEach((fileId, i) => {
+        const { data, error } = responses[i];
+        if (!error && !data.nextPageToken) this.permissionCache.set(fileId, data.permissions || []);
+      });
+      this.dlog(`Permission prefetch: ${this.permissionCache.size} cached after ${chunk.length} sub-requests`);
+    }
+  }
+
+  // Drive expirationTime: only future dates, and not after Drive refused it once this run
+  canUseDriveExpiration(date) {
+    return !this.driveExpirationUnsupported && date.getTime() > Date.now() + 60000;
+  }
+
+  // Drive refused the expirationTime (consumer accounts, shared drives, folders on some
+  // domains, too far ahead); remember it for this run unless it was about the date itself
+  isExpirationRejected(error) {
+    const { status, reasons, message } = this.extractErrorDetails(error);
+    if (![400, 403].includes(Number(status))) return false;
+    const text = `${reasons.join(' ')} ${message}`;
+    if (!/expir/i.test(text)) return false;
+    if (!/future|past|year|range/i.test(text)) this.driveExpirationUnsupported = true;
+    this.writeLog(`Drive expirationTime not accepted (${this.formatErrorSummary(error)}), expiry kept locally`, 'warn', { op: 'expire' });
+    return true;
+  }
+
+  // Set or clear (date = null) the Drive expirationTime of email's permission; false when not possible
+  async setPermissionExpiration(fileId, email, date) {
+    if (date && !this.canUseDriveExpiration(date)) return false;
+    const permission = await this.findUserPermission(fileId, email);
+    if (!permission || permission.role === 'owner') return false;
+    try {
+      await this.withRetry('drive.permissions.update', { fileId, email, expirationTime: date ? date.toISOString() : null }, () => this.drive.permissions.update({
+        fileId: fileId,
+        permissionId: permission.id,
+        supportsAllDrives: true,
+        ...(date ? {} : { removeExpiration: true }),
+        resource: { role: permission.role, ...(date ? { expirationTime: date.toISOString() } : {}) }
+      }));
+      return !!date;
+    } catch (error) {
+      if (this.isExpirationRejected(error)) return false;
+      throw error;
+    }
+  }
+
+  // ExpiresAt cell → Date, read in WIB like the LastLog timestamps (date only = end of that day).
+  // null when empty, an invalid Date when unreadable. Accepts YYYY-MM-DD[ HH:mm] and DD/MM/YYYY[ HH:mm]
+  parseExpiresAt(value) {
+    const s = String(value || '').trim();
+    if (!s) return null;
+    if (/^\d{4}-\d{2}-\d{2}T.*(Z|[+-]\d{2}:?\d{2})$/.test(s)) return new Date(s);
+    let m = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T](\d{1,2})[:.](\d{2}))?$/.exec(s);
+    let y, mo, d, h, mi;
+    if (m) [, y, mo, d, h, mi] = m;
+    else if ((m = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})(?:,?\s+(\d{1,2})[:.](\d{2}))?$/.exec(s))) [, d, mo, y, h, mi] = m;
+    else return new Date(NaN);
+    const utc = h === undefined ? Date.UTC(y, mo - 1, d, 23, 59, 59) : Date.UTC(y, mo - 1, d, h, mi);
+    // 31/02 and the like roll over into the next month
+    const check = new Date(utc);
+    if (check.getUTCMonth() !== mo - 1 || check.getUTCDate() !== Number(d)) return new Date(NaN);
+    return new Date(utc - WIB_OFFSET_MS);
+  }
+
+  formatExpiry(value) {
+    return new Date(value).toLocaleString('id-ID', { timeZone: 'Asia/Jakarta', dateStyle: 'medium', timeStyle: 'short' });
+  }
+
+  // Upgrade an existing permission to a higher role
+  async upgradePermission(fileId, permission, role) {
+    const dryRun = config.get('dryRun');
+
+    if (dryRun) {
+      return { status: 'DRY_RUN' };
+    }
+
+    const response = await this.withRetry('drive.permissions.update', { fileId, email: permission.emailAddress, from: permission.role, role }, () => this.drive.permissions.update({
+      fileId: fileId,
+      permissionId: permission.id,
+      supportsAllDrives: true,
+      resource: { role: role }
+    }));
+    return response.data;
+  }
+
+  // List all permissions on a file/folder (paginated)
+  async listPermissions(fileId) {
+    if (this.permissionCache.has(fileId)) {
+      const cached = this.permissionCache.get(fileId);
+      this.permissionCache.delete(fileId);
+      return cached;
+    }
+    let all = [];
+    let pageToken = undefined;
+    do {
+      const res = await this.withRetry('drive.permissions.list', { fileId }, () => this.drive.permissions.list({
+        fileId: fileId,
+        fields: PERMISSION_LIST_FIELDS,
+        supportsAllDrives: true,
+        pageSize: 100,
+        pageToken
+      }), 5);
+      all = all.concat(res.data.permissions || []);
+      pageToken = res.data.nextPageToken || undefined;
+    } while (pageToken);
+    return all;
+  }
+
+  // Revoke direct user access of email on a file/folder
+  async revokePermission(fileId, email) {
+    const dryRun = config.get('dryRun');
+    const target = (email || '').toLowerCase();
+    const permissions = await this.listPermissions(fileId);
+    const matches = permissions.filter(p =>
+      p.type === 'user' && p.role !== 'owner' && (p.emailAddress || '').toLowerCase() === target
+    );
+    if (matches.length === 0) {
+      return { status: 'NOT_FOUND', count: 0 };
+    }
+    if (dryRun) {
+      return { status: 'DRY_RUN', count: matches.length };
+    }
+    for (const p of matches) {
+      await this.withRetry('drive.permissions.delete', { fileId, email, permissionId: p.id }, () => this.drive.permissions.delete({
+        fileId: fileId,
+        permissionId: p.id,
+        supportsAllDrives: true
+      }));
+    }
+    return { status: 'REVOKED', count: matches.length };
+  }
+
+  // Incremental poll state: source version seen after the last run and row fingerprints
+  // of rows already handled (per source & shard)
+  getPollStateName() {
+    const sourceKey = this.hashKey(this.getSource().key);
+    const shard = this.shardTotal > 0 ? `-shard${this.shardIndex}of${this.shardTotal}` : '';
+    return `poll-${sourceKey}${shard}.json`;
+  }
+
+  loadPollState() {
+    if (!this.pollState) {
+      this.pollState = { version: null, fullAt: 0, pending: true, rows: {}, ...this.readStateFile(this.getPollStateName(), {}) };
+    }
+    return this.pollState;
+  }
+
+  isIncrementalPoll() {
+    const env = process.env.INCREMENTAL_POLL;
+    return typeof env === 'string' ? env === 'true' : config.get('incrementalPoll') !== false;
+  }
+
+  // Change marker of the source: Drive version + modifiedTime of the sheet, mtime + size of a local file
+  async getSourceVersion() {
+    const source = this.getSource();
+    if (source.type !== 'sheets') return source.version();
+    const res = await this.withRetry('drive.files.get', { fileId: source.sheetId }, () => this.drive.files.get({
+      fileId: source.sheetId,
+      fields: 'version, modifiedTime',
+      supportsAllDrives: true
+    }));
+    return `${res.data.version}|${res.data.modifiedTime}`;
+  }
+
+  // Loop mode: 'skip' (source unchanged, nothing left over), 'incremental' (only new/edited rows)
+  // or 'full' (first poll, full poll due, or version not readable)
+  async getPollMode() {
+    const state = this.loadPollState();
+    const fullMs = (Number(config.get('fullPollMinutes')) || 0) * 60000;
+    if (!state.version || (fullMs > 0 && Date.now() - state.fullAt >= fullMs)) return 'full';
+    if (state.pending || this.hasDueExpiry()) return 'incremental';
+    try {
+      return (await this.getSourceVersion()) === state.version ? 'skip' : 'incremental';
+    } catch (error) {
+      this.writeLog(`Cannot read source version: ${this.formatErrorSummary(error)}`, 'warn');
+      return 'full';
+    }
+  }
+
+  // Source version before reading it, or null when it cannot be read (next poll is then full)
+  async readSourceVersion() {
+    try {
+      return await this.getSourceVersion();
+    } catch (error) {
+      this.writeLog(`Cannot read source version: ${this.formatErrorSummary(error)}`, 'warn');
+      return null;
+    }
+  }
+
+  // After a poll: remember the version read before the data and whether rows are left over.
+  // When the version moved during the run (an edit, a new form row or our own writes) the
+  // next poll stays incremental, so an edit made mid-run is not skipped
+  async savePollState(mode, stats, version) {
+    const state = this.loadPollState();
+    // Rows failed with an API error are retried and a batch limit leaves rows for the next poll
+    state.pending = !stats || stats.rows.some(r => r.status === 'ERROR') || stats.queued > stats.total;
+    if (mode === 'full') state.fullAt = Date.now();
+    state.version = version;
+    if (version && !state.pending && (await this.readSourceVersion()) !== version) state.pending = true;
+    this.writeStateFile(this.getPollStateName(), state);
+  }
+
+  // Snapshot of shared rows (folderId|email) from previous runs, per sheet & shard
+  getShareSnapshotName() {
+    const sheetKey = this.hashKey(this.getSource().key);
+    const shard = this.shardTotal > 0 ? `-shard${this.shardIndex}of${this.shardTotal}` : '';
+    return `shared-${sheetKey}${shard}.json`;
+  }
+
+  // Does this worker own a snapshot entry (sharded by FolderId)?
+  ownsSnapshotKey(folderId) {
+    if (this.shardTotal <= 0) return true;
+    return (this.hashKey(String(folderId)) % this.shardTotal) === this.shardIndex;
+  }
+
+  // Revoke access for rows that were shared in a previous run but are gone from the sheet
+  async revokeMissingRows(participants, stats) {
+    const snapshotName = this.getShareSnapshotName();
+    const snapshot = this.readStateFile(snapshotName, {});
+    const dryRun = config.get('dryRun');
+    const envRevoke = process.env.REVOKE_MISSING;
+    const revokeMissing = typeof envRevoke === 'string' ? envRevoke === 'true' : !!config.get('revokeMissing');
+
+    const present = new Set();
+    for (const p of participants) {
+      const email = (p.email || '').toString().trim().toLowerCase();
+      if (p.folderId && email) present.add(`${p.folderId}|${email}`);
+    }
+
+    const missing = Object.keys(snapshot).filter(k => !present.has(k));
+    if (missing.length > 0 && !revokeMissing) {
+      this.writeLog(`${missing.length} previously shared rows missing from sheet (REVOKE_MISSING off, kept)`);
+    }
+    if (missing.length > 0 && revokeMissing) {
+      console.log(chalk.yellow(`🚫 ${missing.length} baris hilang dari sheet sejak run sebelumnya, mencabut akses...`));
+      for (const key of missing) {
+        const entry = snapshot[key];
+        try {
+          const result = await this.revokePermission(entry.folderId, entry.email);
+          const detail = `Missing row (${entry.nama}) ${result.status} ${entry.email} on ${entry.folderId} (${result.count} permission)`;
+          if (result.status === 'REVOKED') {
+            this.recordRow(stats, 'revoked', { row: entry.rowIndex, nama: entry.nama, email: entry.email, folderId: entry.folderId, status: result.status, detail });
+          }
+          this.writeLog(detail, 'info', { row: entry.rowIndex, email: entry.email, folderId: entry.folderId, op: 'revokeMissing', status: result.status });
+          if (!dryRun) delete snapshot[key];
+        } catch (error) {
+          const details = this.extractErrorDetails(error);
+          const detail = `Missing row (${entry.nama}) REVOKE ERROR ${entry.email} on ${entry.folderId}: ${this.formatErrorSummary(error)}`;
+          this.recordRow(stats, 'errors', { row: entry.rowIndex, nama: entry.nama, email: entry.email, folderId: entry.folderId, status: 'ERROR', detail, httpStatus: details.status, reasons: details.reasons });
+          this.writeLog(detail, 'error', { row: entry.rowIndex, email: entry.email, folderId: entry.folderId, op: 'revokeMissing', status: 'ERROR', httpStatus: details.status, reasons: details.reasons });
+        }
+      }
+    }
+
+    // Record currently shared rows owned by this worker
+    for (const p of participants) {
+      const email = (p.email || '').toString().trim().toLowerCase();
+      if (!p.folderId || !email || String(p.isShared || '').toLowerCase() !== 'true') continue;
+      if (!this.ownsSnapshotKey(p.folderId)) continue;
+      const key = `${p.folderId}|${email}`;
+      // Granted role unknown for rows shared before the snapshot (checked on Drive when needed)
+      const previous = snapshot[key] || {};
+      snapshot[key] = { nama: p.nama, email, folderId: p.folderId, rowIndex: p.rowIndex, role: previous.role || null };
+      if (!previous.role && previous.checked) snapshot[key].checked = true;
+    }
+    this.writeStateFile(snapshotName, snapshot);
+    this.shareSnapshot = snapshot;
+    return snapshot;
+  }
+
+  // Remember a row shared during this run so its removal can be detected later
+  rememberShared(folderId, participant, role) {
+    if (!this.shareSnapshot || !this.ownsSnapshotKey(folderId)) return;
+    this.shareSnapshot[`${folderId}|${participant.email}`] = { nama: participant.nama, email: participant.email, folderId, rowIndex: participant.rowIndex, role };
+  }
+
+  // Shared row whose Role column now asks for more than what was granted. Without a known
+  // granted role (shared before the snapshot existed) the live permission is looked up once
+  async needsRoleUpgrade(participant, defaultRole) {
+    if (!this.shareSnapshot || !participant.folderId) return false;
+    const entry = this.shareSnapshot[`${participant.folderId}|${participant.email}`];
+    const wanted = participant.role ? this.normalizeRole(participant.role) : defaultRole;
+    if (!wanted) return false;
+    if (entry && entry.role) return this.roleRank(wanted) > this.roleRank(entry.role);
+    if (!participant.role || (entry && entry.checked) || !this.ownsSnapshotKey(participant.folderId)) return false;
+    const existing = await this.findUserPermission(participant.folderId, participant.email);
+    if (!existing) {
+      // No permission found (or not readable): remembered so the row costs no lookup on every poll
+      this.rememberShared(participant.folderId, participant, null);
+      this.shareSnapshot[`${participant.folderId}|${participant.email}`].checked = true;
+      return false;
+    }
+    this.rememberShared(participant.folderId, participant, existing.role);
+    return this.roleRank(wanted) > this.roleRank(existing.role);
+  }
+
+  // Forget a row after its access was revoked
+  forgetShared(folderId, email) {
+    if (this.shareSnapshot) delete this.shareSnapshot[`${folderId}|${email}`];
+    if (this.expirySchedule) delete this.expirySchedule[`${folderId}|${email}`];
+  }
+
+  // Local expiry schedule (folderId|email → expiresAt), per source & shard.
+  // drive=true: Drive removes the permission itself, the loop only updates the sheet
+  getExpiryStateName() {
+    const sourceKey = this.hashKey(this.getSource().key);
+    const shard = this.shardTotal > 0 ? `-shard${this.shardIndex}of${this.shardTotal}` : '';
+    return `expiry-${sourceKey}${shard}.json`;
+  }
+
+  scheduleExpiry(folderId, participant, date, drive) {
+    if (!this.expirySchedule || !this.ownsSnapshotKey(folderId)) return;
+    this.expirySchedule[`${folderId}|${participant.email}`] = {
+      nama: participant.nama, email: participant.email, folderId, rowIndex: participant.rowIndex, expiresAt: date.toISOString(), drive: !!drive
+    };
+  }
+
+  // Expiry for a permission that already exists (skip/upgrade): Drive when possible, else local
+  async applyExpiry(folderId, participant, date) {
+    let drive = false;
+    try {
+      drive = await this.setPermissionExpiration(folderId, participant.email, date);
+    } catch (e) {
+      this.writeLog(`Row ${participant.rowIndex} cannot set Drive expiration: ${this.formatErrorSummary(e)}`, 'warn', { row: participant.rowIndex, email: participant.email, folderId, op: 'expire' });
+    }
+    this.scheduleExpiry(folderId, participant, date, drive);
+  }
+
+  // Loop mode: an expiry is due, so the poll must not be skipped
+  hasDueExpiry() {
+    const schedule = this.expirySchedule || this.readStateFile(this.getExpiryStateName(), {});
+    const now = Date.now();
+    return Object.values(schedule).some(e => Date.parse(e.expiresAt) <= now);
+  }
+
+  // ExpiresAt: sync the schedule with shared rows, revoke what is due (isShared=EXPIRED),
+  // list upcoming expirations in dry-run
+  async processExpirations(participants, columns, stats) {
+    const dryRun = config.get('dryRun');
+    const schedule = this.readStateFile(this.getExpiryStateName(), {});
+    this.expirySchedule = schedule;
+    const now = Date.now();
+    const col = (index, fallback) => (index !== -1 ? columns.toCol(index) : fallback);
+    const rows = new Map();
+    const pending = [];
+
+    for (const p of participants) {
+      const email = (p.email || '').toString().trim().toLowerCase();
+      if (!email) continue;
+      const shared = String(p.isShared || '').trim().toLowerCase();
+      const date = this.parseExpiresAt(p.expiresAt);
+      if (shared !== 'true') {
+        if (date && !isNaN(date) && date.getTime() > now && shared !== 'revoked') pending.push({ nama: p.nama, email, expiresAt: date.toISOString() });
+        continue;
+      }
+      if (!p.folderId) continue;
+      const key = `${p.folderId}|${email}`;
+      rows.set(key, p);
+      if (!this.ownsSnapshotKey(p.folderId)) continue;
+      const entry = schedule[key];
+      if (!date || isNaN(date)) {
+        // ExpiresAt cleared (unreadable dates are left as they were)
+        if (entry && !date) {
+          if (entry.drive && !dryRun) {
+            try { await this.setPermissionExpiration(p.folderId, email, null); } catch (e) {
+              this.writeLog(`Row ${p.rowIndex} cannot clear Drive expiration: ${this.formatErrorSummary(e)}`, 'warn', { row: p.rowIndex, email, folderId: p.folderId, op: 'expire' });
+            }
+          }
+          delete schedule[key];
+        }
+        continue;
+      }
+      if (entry && entry.expiresAt === date.toISOString()) continue;
+      // New or changed date on a shared row: move the Drive expiration along when possible
+      let drive = false;
+      if (!dryRun) {
+        try {
+          drive = await this.setPermissionExpiration(p.folderId, email, date);
+        } catch (e) {
+          this.writeLog(`Row ${p.rowIndex} cannot set Drive expiration: ${this.formatErrorSummary(e)}`, 'warn', { row: p.rowIndex, email, folderId: p.folderId, op: 'expire' });
+        }
+      }
+      schedule[key] = { nama: p.nama, email, folderId: p.folderId, rowIndex: p.rowIndex, expiresAt: date.toISOString(), drive };
+    }
+
+    if (dryRun) {
+      const upcoming = Object.values(schedule).concat(pending).sort((a, b) => Date.parse(a.expiresAt) - Date.parse(b.expiresAt));
+      if (upcoming.length > 0) {
+        console.log(chalk.cyan(`⏳ Jadwal akses berakhir (${upcoming.length}):`));
+        for (const e of upcoming.slice(0, 20)) {
+          const when = Date.parse(e.expiresAt) <= now ? chalk.red('dicabut sekarang') : (e.folderId ? (e.drive ? 'oleh Drive' : 'dicabut oleh loop') : 'setelah dishare');
+          console.log(chalk.gray(`   ${this.formatExpiry(e.expiresAt)}  ${e.email} (${e.nama}) — ${when}`));
+        }
+        if (upcoming.length > 20) console.log(chalk.gray(`   ... dan ${upcoming.length - 20} lagi`));
+      }
+      return;
+    }
+
+    for (const [key, entry] of Object.entries(schedule)) {
+      if (Date.parse(entry.expiresAt) > now) continue;
+      const row = rows.get(key);
+      const rowIndex = row ? row.rowIndex : entry.rowIndex;
+      try {
+        // Also when Drive already expired it: the permission may have been re-added by hand
+        const result = await this.revokePermission(entry.folderId, entry.email);
+        const detail = `EXPIRED ${entry.email} on ${entry.folderId} (${result.count} permission${entry.drive ? ', expired by Drive' : ''})`;
+        if (row) {
+          await this.updateCell(rowIndex, col(columns.isSharedCol, 'D'), 'EXPIRED');
+          await this.updateCell(rowIndex, col(columns.lastLogCol, 'F'), `[${this.getCurrentTimestamp()}] EXPIRED: akses ${entry.email} berakhir ${this.formatExpiry(entry.expiresAt)}`);
+        }
+        this.recordRow(stats, 'revoked', { row: rowIndex, nama: entry.nama, email: entry.email, folderId: entry.folderId, status: 'EXPIRED', detail });
+        this.writeLog(detail, 'info', { row: rowIndex, email: entry.email, folderId: entry.folderId, op: 'expire', status: 'EXPIRED' });
+        this.forgetShared(entry.folderId, entry.email);
+        delete schedule[key];
+      } catch (error) {
+        const details = this.extractErrorDetails(error);
+        const detail = `EXPIRE ERROR ${entry.email} on ${entry.folderId}: ${this.formatErrorSummary(error)}`;
+        this.recordRow(stats, 'errors', { row: rowIndex, nama: entry.nama, email: entry.email, folderId: entry.folderId, status: 'ERROR', detail, httpStatus: details.status, reasons: details.reasons });
+        this.writeLog(detail, 'error', { row: rowIndex, email: entry.email, folderId: entry.folderId, op: 'expire', status: 'ERROR', httpStatus: details.status, reasons: details.reasons });
+      }
+    }
+    this.writeStateFile(this.getExpiryStateName(), schedule);
+  }
+
+  // Update cell in spreadsheet (buffered, flushed by size or interval)
+  async updateCell(row, col, value) {
+    this.pendingUpdates.set(`${row}|${col}`, { row, col, value });
+    const batchSize = Number(config.get('writeBatchSize')) || 50;
+    const flushMs = Number(config.get('writeFlushMs')) || 15000;
+    if (this.pendingUpdates.size >= batchSize || Date.now() - this.lastFlushAt >= flushMs) {
+      await this.flushUpdates();
+    }
+  }
+
+  // Write buffered cells in one batch; retry, then save locally if still failing
+  async flushUpdates() {
+    this.lastFlushAt = Date.now();
+    if (this.pendingUpdates.size === 0) return true;
+    const updates = Array.from(this.pendingUpdates.values());
+    this.pendingUpdates.clear();
+
+    const maxAttempts = 4;
+    const op = `${this.getSource().type}.batchUpdate`;
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      let startedAt = 0;
       try {
-        await this.throttle();
-        const response = await this.drive.permissions.create({
-          fileId: fileId,
-          sendNotificationEmail: false,
-          supportsAllDrives: true,
-          resource: {
-            type: 'user',
-            role: role,
-            emailAddress: email
-          }
-        });
-        return response.data;
+        if (this.rateLimiter && this.getSource().type === 'sheets') await this.throttle('sheets.values.batchUpdate');
+        startedAt = Date.now();
+        await this.getSource().batchUpdate(updates);
+        this.report('api', { op, ms: Date.now() - startedAt, ok: true });
+        this.dlog(`Flushed ${updates.length} cell updates`);
+        this.markJournalSynced();
+        return true;
       } catch (error) {
-        this.dlog('permissions.create error:', this.formatErrorSummary(error));
-        attempt++;
-        if (this.isRetryableRateLimit(error) && attempt < maxAttempts) {
-          const base = Math.min(capMs, Math.pow(2, attempt) * 1000);
+        this.dlog('batchUpdate error:', this.formatErrorSummary(error));
+        // Only rate limits and server errors can pass on a retry; the rest is kept for the next run
+        const status = Number(this.extractErrorDetails(error).status);
+        const retry = attempt < maxAttempts && (this.isRetryableRateLimit(error) || (status >= 500 && status < 600));
+        if (startedAt) this.report('api', { op, ms: Date.now() - startedAt, ok: false, retry });
+        if (retry) {
+          const base = Math.min(60000, Math.pow(2, attempt) * 1000);
+          if (this.rateLimiter && this.isRetryableRateLimit(error)) this.rateLimiter.backoff('sheets', base);
           const jitter = Math.floor(Math.random() * 500);
           await this.sleep(base + jitter);
           continue;
         }
-        throw this.wrapError('drive.permissions.create', { fileId, email, role }, error);
+        console.log(chalk.yellow(`⚠️  Warning: ${updates.length} cell update gagal ditulis (${this.formatErrorSummary(error)}). Disimpan lokal, dicoba lagi di run berikutnya.`));
+        this.writeLog(`Flush failed for ${updates.length} updates: ${this.formatErrorSummary(error)}`, 'error');
+        this.savePendingUpdates(updates);
+        return false;
       }
     }
+    return false;
   }
 
-  // Update cell in spreadsheet
-  async updateCell(row, col, value) {
+  // State file holding writes that could not be flushed (per source & shard)
+  getPendingUpdatesName() {
+    const sourceKey = this.hashKey(this.getSource().key);
+    const shard = this.shardTotal > 0 ? `-shard${this.shardIndex}of${this.shardTotal}` : '';
+    return `pending-writes-${sourceKey}${shard}.json`;
+  }
+
+  // Persist unflushed writes (plus whatever is still buffered) to local state
+  savePendingUpdates(updates = []) {
+    const all = updates.concat(Array.from(this.pendingUpdates.values()));
+    this.pendingUpdates.clear();
+    if (all.length === 0) return;
+    const name = this.getPendingUpdatesName();
+    const saved = this.readStateFile(name, []);
+    for (const u of all) {
+      saved.push({ ...u, email: this.rowIdentity.get(u.row) || '', savedAt: new Date().toISOString() });
+    }
+    this.writeStateFile(name, saved);
+    this.writeLog(`Saved ${all.length} pending cell updates to state/${name}`, 'warn');
+  }
+
+  // Re-queue writes saved by an earlier run, only if the row still holds the same email
+  async replayPendingUpdates() {
+    const name = this.getPendingUpdatesName();
+    const saved = this.readStateFile(name, []);
+    if (!Array.isArray(saved) || saved.length === 0) return;
+    let queued = 0;
+    let dropped = 0;
+    for (const u of saved) {
+      if (u.email && this.rowIdentity.get(u.row) !== u.email) {
+        dropped++;
+        this.writeLog(`Drop pending update ${u.col}${u.row}: row no longer ${u.email}`, 'warn');
+        continue;
+      }
+      this.pendingUpdates.set(`${u.row}|${u.col}`, { row: u.row, col: u.col, value: u.value });
+      queued++;
+    }
+    this.writeStateFile(name, []);
+    this.writeLog(`Replaying ${queued} pending cell updates (${dropped} dropped)`);
+    if (queued > 0) {
+      console.log(chalk.cyan(`📝 Menulis ulang ${queued} update sheet yang tertunda dari run sebelumnya...`));
+      await this.flushUpdates();
+    }
+  }
+
+  // Append-only run journal (JSON lines), per source & shard
+  getJournalName() {
+    const sourceKey = this.hashKey(this.getSource().key);
+    const shard = this.shardTotal > 0 ? `-shard${this.shardIndex}of${this.shardTotal}` : '';
+    return `journal-${sourceKey}${shard}.jsonl`;
+  }
+
+  // Record a journal entry synchronously so it survives a crash right after
+  journalAppend(entry) {
+    if (config.get('dryRun')) return;
     try {
-      const range = `${config.get('sheetName')}!${col}${row}`;
-      await this.sheets.spreadsheets.values.update({
-        spreadsheetId: config.get('sheetId'),
-        range: range,
-        valueInputOption: 'RAW',
-        resource: {
-          values: [[value]]
+      const line = JSON.stringify({ ts: new Date().toISOString(), pid: process.pid, ...entry });
+      fs.appendFileSync(path.join(this.getStateDir(), this.getJournalName()), line + '\n');
+    } catch (e) {
+      this.writeLog(`Cannot write journal: ${e.message}`, 'warn');
+    }
+  }
+
+  // Sheet writes for these keys were flushed
+  markJournalSynced() {
+    for (const key of this.journalUnsynced) this.journalAppend({ phase: 'synced', key });
+    this.journalUnsynced.clear();
+  }
+
+  // Fold journal lines into the latest state per key
+  loadJournal() {
+    const file = path.join(this.getStateDir(), this.getJournalName());
+    const states = new Map();
+    if (!fs.existsSync(file)) return states;
+    for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      let entry;
+      try { entry = JSON.parse(line); } catch (_) { continue; } // torn last line after a crash
+      const prev = states.get(entry.key) || {};
+      states.set(entry.key, { ...prev, ...entry, intent: entry.phase === 'intent' ? entry : prev.intent });
+    }
+    return states;
+  }
+
+  // Rewrite the journal with only the keys that are still open
+  compactJournal(states) {
+    const open = [];
+    for (const st of states.values()) {
+      if (st.phase === 'synced' || st.phase === 'failed' || st.phase === 'abandoned') continue;
+      const { intent, ...last } = st;
+      if (intent) open.push(intent);
+      if (st.phase !== 'intent') open.push(last);
+    }
+    const file = path.join(this.getStateDir(), this.getJournalName());
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, open.map(e => JSON.stringify(e)).join('\n') + (open.length ? '\n' : ''));
+    fs.renameSync(tmp, file);
+  }
+
+  // Replay unfinished journal entries from a crashed run and reconcile them with the sheet
+  async reconcileJournal(participants, columns) {
+    if (config.get('dryRun')) return;
+    const states = this.loadJournal();
+    if (states.size === 0) return;
+    let recovered = 0;
+    let redo = 0;
+
+    for (const [key, st] of states) {
+      if (st.phase === 'synced' || st.phase === 'failed' || st.phase === 'abandoned') continue;
+      const info = st.intent || st;
+      let outcome = st.phase === 'done' ? st.status : null;
+
+      if (st.phase === 'intent') {
+        // Crashed between intent and result: ask Drive what actually happened
+        const existing = await this.findUserPermission(info.folderId, info.email);
+        if (info.op === 'revoke' && !existing) outcome = 'REVOKED';
+        else if (info.op !== 'revoke' && existing && this.roleRank(existing.role) >= this.roleRank(info.role)) outcome = 'GRANTED';
+        if (!outcome) {
+          // Not applied: the row stays unshared in the sheet and is processed normally
+          this.journalAppend({ phase: 'abandoned', key });
+          states.set(key, { ...st, phase: 'abandoned' });
+          redo++;
+          continue;
         }
-      });
-    } catch (error) {
-      console.log(chalk.yellow(`⚠️  Warning: Could not update cell ${col}${row}`));
+        this.journalAppend({ phase: 'done', key, op: info.op, folderId: info.folderId, email: info.email, role: info.role, status: outcome, recovered: true });
+      }
+
+      // Applied in Drive but maybe not in the sheet: write the result back
+      const row = participants.find(p =>
+        (p.email || '').toString().trim().toLowerCase() === info.email &&
+        (!p.folderId || p.folderId === info.folderId)
+      );
+      if (row) {
+        const isShared = info.op === 'revoke' ? 'REVOKED' : 'TRUE';
+        row.isShared = isShared;
+        row.folderId = info.folderId;
+        await this.updateCell(row.rowIndex, columns.toCol(columns.isSharedCol), isShared);
+        await this.updateCell(row.rowIndex, columns.toCol(columns.folderIdCol), info.folderId);
+        if (info.op !== 'revoke') await this.updateCell(row.rowIndex, columns.toCol(columns.isFolderExistsCol), 'TRUE');
+        await this.updateCell(row.rowIndex, columns.toCol(columns.lastLogCol), `[${this.getCurrentTimestamp()}] RECOVERED: ${outcome} ${info.op === 'revoke' ? '' : info.role + ' '}→ ${info.email} (dari journal)`);
+        this.writeLog(`Row ${row.rowIndex} recovered from journal: ${info.op} ${outcome} ${info.email} on ${info.folderId}`);
+        this.journalUnsynced.add(key);
+      } else {
+        this.writeLog(`Journal entry ${key} (${info.op} ${outcome}) has no matching row in sheet`, 'warn');
+        this.journalAppend({ phase: 'synced', key });
+      }
+      recovered++;
     }
+
+    if (recovered || redo) {
+      console.log(chalk.cyan(`📒 Journal: ${recovered} hasil dipulihkan ke sheet, ${redo} diproses ulang`));
+      this.writeLog(`Journal reconcile: recovered=${recovered} redo=${redo}`);
+    }
+    await this.flushUpdates();
+    this.compactJournal(this.loadJournal());
+  }
+
+  // Load notification message template (cwd first, then alongside executable)
+  loadNotifyTemplate() {
+    const name = process.env.NOTIFY_TEMPLATE || config.get('notifyTemplate') || 'message.txt';
+    const candidates = path.isAbsolute(name)
+      ? [name]
+      : [path.join(process.cwd(), name), path.join(path.dirname(process.execPath), name)];
+    for (const file of candidates) {
+      if (fs.existsSync(file)) {
+        this.writeLog(`Notification template: ${file}`);
+        return fs.readFileSync(file, 'utf8').trim();
+      }
+    }
+    return '';
+  }
+
+  // Fill {{Column}} placeholders from sheet fields (case-insensitive header match)
+  renderTemplate(template, fields) {
+    const lookup = {};
+    for (const [k, v] of Object.entries(fields || {})) lookup[k.toLowerCase()] = v;
+    return String(template || '').replace(/\{\{\s*([^}]+?)\s*\}\}/g, (match, key) => {
+      const value = lookup[key.toLowerCase()];
+      if (value === undefined) {
+        this.dlog('Template placeholder not found:', key);
+        return '';
+      }
+      return value;
+    });
   }
 
   // Get current timestamp
@@ -681,21 +2576,40 @@ class CertificateSharing {
   }
 
   // Process participants
-  async processParticipants(data) {
+  // options.onlyRevoke: only handle rows flagged for revoke
+  // options.revokeEmails: treat rows with these emails as flagged
+  async processParticipants(data, options = {}) {
     const { participants, headers, columns } = data;
+    const revokeEmails = new Set((options.revokeEmails || []).map(e => String(e).trim().toLowerCase()));
     const parentFolderId = config.get('parentFolderId');
-    const role = 'reader';
+    const defaultRole = this.normalizeRole(config.get('role')) || 'reader';
     const dryRun = config.get('dryRun');
     const throttleMs = Number(config.get('throttleMs')) || 2500;
     const envMax = process.env.MAX_PER_RUN ? Number(process.env.MAX_PER_RUN) : undefined;
     const maxPerRun = (Number.isFinite(envMax) && envMax > 0) ? envMax : (Number(config.get('maxPerRun')) || 300);
+    const envNotify = process.env.NOTIFY;
+    const notifyDefault = typeof envNotify === 'string' ? envNotify === 'true' : !!config.get('notify');
+    const notifyTemplate = (notifyDefault || columns.notifyCol !== -1) ? this.loadNotifyTemplate() : '';
+    // File mode: rows resolve to a certificate file (no folder creation / upload)
+    const fileMode = this.isFileMode();
+    const envAutoCreate = process.env.AUTO_CREATE_FOLDERS;
+    let autoCreate = !fileMode && !!parentFolderId && (typeof envAutoCreate === 'string' ? envAutoCreate === 'true' : !!config.get('autoCreateFolders'));
+    const uploadFiles = fileMode ? null : this.loadUploadDir();
 
     console.log();
     console.log(chalk.blue('🔄 MEMPROSES PESERTA'));
     console.log(chalk.gray('─'.repeat(40)));
+    if (this.identity) console.log(chalk.cyan(`👤 Akun: ${this.identity.label}`));
     console.log(chalk.cyan(`📁 Parent Folder: ${parentFolderId || 'All folders'}`));
-    console.log(chalk.cyan(`🔗 Role: ${role}`));
+    if (fileMode) {
+      const exts = this.getFileExtensions();
+      console.log(chalk.cyan(`📄 Mode file: share file sertifikat (${exts.length ? exts.join(', ') : 'semua ekstensi'})`));
+    }
+    console.log(chalk.cyan(`🔗 Default Role: ${defaultRole}${columns.roleCol !== -1 ? ' (per-row dari kolom Role)' : ''}`));
     console.log(chalk.cyan(`🎯 Mode: ${dryRun ? 'Simulasi' : 'Production'}`));
+    if (autoCreate) console.log(chalk.cyan('🆕 Folder peserta yang belum ada akan dibuat otomatis'));
+    if (uploadFiles) console.log(chalk.cyan(`📤 Upload sertifikat: ${uploadFiles.length} file lokal`));
+    console.log(chalk.cyan(`✉️  Notifikasi: ${notifyDefault ? 'ON' : 'OFF'}${columns.notifyCol !== -1 ? ' (per-row dari kolom Notify)' : ''}${notifyTemplate ? '' : ' (tanpa template)'}`));
     if (this.shardTotal > 0) {
       console.log(chalk.cyan(`🧩 Shard: ${this.shardIndex + 1}/${this.shardTotal}`));
     }
@@ -709,25 +2623,54 @@ class CertificateSharing {
     }
 
     // Progress bar
-    this.progressBar = new cliProgress.SingleBar({
-      format: chalk.cyan('Progress') + ' |{bar}| {percentage}% | {value}/{total} | {status}',
-      barCompleteChar: '█',
-      barIncompleteChar: '░',
-      hideCursor: true
-    });
+    this.progressBar = this.createProgressBar();
+
+    // rows: per-row outcomes for the run report
+    let stats = { total: 0, done: 0, skipped: 0, errors: 0, revoked: 0, rows: [], startedAt: new Date().toISOString() };
+
+    // Tulis ulang update sheet yang gagal di run sebelumnya
+    await this.replayPendingUpdates();
+
+    // Pulihkan aksi yang belum selesai dari run yang crash (journal lokal)
+    await this.reconcileJournal(participants, columns);
+
+    // Index folder sekali per run (cache lokal + refresh incremental); mode file: daftar file
+    this.fileList = null;
+    if (parentFolderId) {
+      try {
+        if (fileMode) await this.getFileList(parentFolderId);
+        else await this.ensureFolderIndex(parentFolderId);
+      } catch (error) {
+        console.log(chalk.red(`❌ Gagal membangun index folder: ${this.formatErrorSummary(error)}`));
+        this.writeLog(`Folder index error: ${this.formatErrorSummary(error)}`, 'error');
+        this.report('error', { message: `Folder index: ${this.formatErrorSummary(error)}` });
+        this.exitCode = EXIT.ERROR;
+        return null;
+      }
+    }
+    // Folders missing from an incomplete index may exist: don't create duplicates
+    const indexIncomplete = !fileMode && !!this.folderIndex && this.folderIndex.incomplete;
+    if (indexIncomplete && autoCreate) {
+      autoCreate = false;
+      console.log(chalk.yellow('⚠️  Index folder tidak lengkap: folder peserta tidak dibuat otomatis di run ini'));
+    }
+
+    // Cabut akses untuk baris yang hilang dari sheet sejak run sebelumnya
+    await this.revokeMissingRows(participants, stats);
+
+    // Akses berbatas waktu (kolom ExpiresAt)
+    await this.processExpirations(participants, columns, stats);
 
-    let stats = { total: 0, done: 0, skipped: 0, errors: 0 };
     // Normalize and prepare list
     let normalized = participants.map(p => ({
       ...p,
       nama: (p.nama || '').toString().trim(),
       email: (p.email || '').toString().trim().toLowerCase()
-    })).filter(p => p.nama && p.email);
+    })).map(p => (revokeEmails.has(p.email) ? { ...p, revoke: true } : p))
+      .filter(p => p.nama && p.email)
+      .filter(p => !options.onlyRevoke || p.revoke);
 
-    // Hanya proses yang belum dishare (case-insensitive)
-    normalized = normalized.filter(p => String(p.isShared || '').toLowerCase() !== 'true');
-
-    // Terapkan sharding (hindari overlap folder/permission antar worker)
+    // Terapkan sharding (hindari overlap folder/permission antar worker); sebelum cek Role di Drive
     if (this.shardTotal > 0) {
       const before = normalized.length;
       normalized = normalized.filter(p => {
@@ -739,58 +2682,284 @@ class CertificateSharing {
       this.writeLog(`Sharding applied: ${normalized.length}/${before} records for shard ${this.shardIndex}/${this.shardTotal - 1}`);
     }
 
+    // Hanya proses yang belum dishare, atau yang diminta revoke dan belum dicabut (case-insensitive)
+    const pending = [];
+    for (const p of normalized) {
+      const shared = String(p.isShared || '').toLowerCase();
+      if (p.revoke) {
+        if (shared !== 'revoked' && shared !== 'expired') pending.push(p);
+        continue;
+      }
+      // REVOKED tidak dishare ulang otomatis; kosongkan isShared untuk share lagi
+      if (shared === 'revoked') continue;
+      // EXPIRED dishare lagi hanya jika ExpiresAt diperpanjang
+      if (shared === 'expired') {
+        const until = this.parseExpiresAt(p.expiresAt);
+        if (until && until.getTime() > Date.now()) pending.push(p);
+        continue;
+      }
+      if (shared === 'true') {
+        // Tetap proses jika Role dinaikkan setelah dishare
+        p.roleChanged = await this.needsRoleUpgrade(p, defaultRole);
+        if (p.roleChanged) pending.push(p);
+        continue;
+      }
+      pending.push(p);
+    }
+    normalized = pending;
+
+    // Baris dari webhook diproses duluan, walaupun tidak berubah
+    const wanted = options.priority || [];
+    const isWanted = p => wanted.some(w => (w.row && w.row === p.rowIndex) || (w.email && w.email === p.email));
+
+    // Polling incremental: lewati baris yang tidak berubah sejak terakhir ditangani
+    const handledRows = options.pollMode ? this.loadPollState().rows : null;
+    if (options.pollMode === 'full') {
+      for (const key of Object.keys(handledRows)) delete handledRows[key];
+    } else if (options.pollMode === 'incremental') {
+      const before = normalized.length;
+      normalized = normalized.filter(p => isWanted(p) || handledRows[p.rowIndex] !== p.fingerprint);
+      this.dlog(`Incremental poll: ${normalized.length}/${before} rows new or edited`);
+    }
+    if (wanted.length > 0) {
+      normalized.sort((a, b) => Number(isWanted(b)) - Number(isWanted(a)));
+      // Not in the sheet yet (form row still being written): try again on later polls for 10 minutes
+      const missing = wanted.filter(w => !participants.some(p => (w.row && w.row === p.rowIndex) || (w.email && w.email === String(p.email).trim().toLowerCase())));
+      this.wakeRequests.push(...missing.filter(w => Date.now() - w.at < 600000));
+      if (missing.length) this.writeLog(`Webhook rows not in sheet yet: ${missing.map(w => w.row || w.email).join(', ')}`, 'warn', { op: 'webhook' });
+    }
+
     // Apply batch limit
     const workingParticipants = normalized.slice(0, maxPerRun);
+    stats.queued = normalized.length;
+    this.report('queue', { queued: normalized.length, batch: workingParticipants.length });
 
     this.progressBar.start(workingParticipants.length, 0, { status: 'Starting...' });
     this.writeLog(`Processing ${workingParticipants.length} participants. parentFolderId=${parentFolderId}`);
 
     const seen = new Set();
+    let quotaStop = null;
+    // Drive batch requests: permission lists fetched ahead per chunk of rows, grants queued
+    // and sent together; each queued row finishes (done/fail) once its sub-response is in
+    const batchSize = this.getDriveBatchSize();
+    const pendingGrants = [];
+    const flushGrants = async () => {
+      const items = pendingGrants.splice(0);
+      if (items.length === 0) return;
+      const results = await this.grantPermissions(items);
+      for (const [i, item] of items.entries()) {
+        try {
+          if (results[i].error) await item.fail(results[i].error);
+          else await item.done(results[i].granted);
+        } catch (error) {
+          await item.fail(error);
+        }
+      }
+    };
     for (const [index, participant] of workingParticipants.entries()) {
       const { rowIndex, nama, email } = participant;
+      // No account can share any more today: the rest waits for the next run
+      if (quotaStop) break;
+
+      if (batchSize && index % batchSize === 0) {
+        const targets = [];
+        for (const p of workingParticipants.slice(index, index + batchSize)) {
+          targets.push(await this.guessRowTarget(p, parentFolderId, fileMode));
+        }
+        await this.prefetchPermissions(targets);
+      }
       
       this.progressBar.update(index, { status: `Processing ${nama}...` });
       stats.total++;
+      let journalKey = null;
+      // Count the row outcome and log it with structured fields
+      const outcome = (kind, status, message, extra = {}, level = 'info') => {
+        this.recordRow(stats, kind, { row: rowIndex, nama, email, folderId: participant.folderId, status, detail: message, ...extra });
+        // API errors are retried next poll; everything else waits for an edit or the full poll
+        if (handledRows && status !== 'ERROR') handledRows[rowIndex] = participant.fingerprint;
+        this.writeLog(`Row ${rowIndex} ${message}`, level, { row: rowIndex, email, folderId: participant.folderId, status, ...extra });
+      };
+      // Row failed: ERROR in the sheet; QUOTA_EXHAUSTED stops the run (the row waits for the next run)
+      const fail = async (error) => {
+        if (error && error.code === 'QUOTA_EXHAUSTED') {
+          if (journalKey) this.journalAppend({ phase: 'failed', key: journalKey, error: error.message });
+          stats.total--;
+          quotaStop = error;
+          return;
+        }
+        const summary = this.formatErrorSummary(error);
+        const details = this.extractErrorDetails(error);
+        const ctxInfo = error?.__op ? ` op=${error.__op}` : '';
+        const more = error?.__ctx ? ` ctx=${JSON.stringify(error.__ctx)}` : '';
+        const logLine = `[${this.getCurrentTimestamp()}] ERROR:${ctxInfo}${more} ${summary}`;
+        if (journalKey) this.journalAppend({ phase: 'failed', key: journalKey, error: summary });
+        console.log(chalk.red(`
+❌ ERROR processing row ${rowIndex} (${nama}, ${email})
+   ${logLine}
+`));
+        await this.updateCell(rowIndex, columns.isSharedCol !== -1 ? columns.toCol(columns.isSharedCol) : 'D', 'FALSE');
+        await this.updateCell(rowIndex, columns.lastLogCol !== -1 ? columns.toCol(columns.lastLogCol) : 'F', logLine);
+        outcome('errors', 'ERROR', `ERROR${ctxInfo}${more} ${summary}`, {
+          op: error?.__op,
+          folderId: error?.__ctx?.fileId || error?.__ctx?.folderId || participant.folderId,
+          httpStatus: details.status,
+          reasons: details.reasons
+        }, 'error');
+      };
 
       try {
-        // Basic email validation
-        if (!email.includes('@')) {
-          stats.skipped++;
-          await this.updateCell(rowIndex, columns.isSharedCol !== -1 ? columns.toCol(columns.isSharedCol) : 'D', 'FALSE');
-          await this.updateCell(rowIndex, columns.lastLogCol !== -1 ? columns.toCol(columns.lastLogCol) : 'F', `[${this.getCurrentTimestamp()}] SKIP: INVALID EMAIL '${email}'`);
-          this.writeLog(`Row ${rowIndex} SKIP invalid email: ${email}`);
+        // Email syntax, domain typo and allow/deny policy: failing rows wait in REVIEW
+        const emailCheck = this.checkParticipantEmail(participant);
+        if (!emailCheck.ok && participant.roleChanged) {
+          // Already shared (TRUE): the person keeps access, only the Role upgrade waits; isShared stays TRUE
+          const note = `SKIP ROLE UPGRADE: EMAIL ${emailCheck.code} (${emailCheck.reason})`;
+          if (!String(participant.lastLog || '').includes(note)) {
+            await this.updateCell(rowIndex, columns.lastLogCol !== -1 ? columns.toCol(columns.lastLogCol) : 'F', `[${this.getCurrentTimestamp()}] ${note} → akses lama tetap; perbaiki Email, atau set Revoke=TRUE untuk mencabut`);
+          }
+          outcome('skipped', 'SKIP', `SKIP role upgrade ${email}: EMAIL ${emailCheck.code} ${emailCheck.reason}`, { op: 'validate', reasons: [emailCheck.code] });
+          continue;
+        }
+        if (!emailCheck.ok) {
+          const pending = String(participant.isShared || '').trim().toUpperCase() === 'REVIEW' && participant.emailSuggestion === emailCheck.suggestion;
+          if (!pending) {
+            const hint = emailCheck.code === 'TYPO'
+              ? `saran: ${emailCheck.suggestion} → perbaiki Email, atau set isShared=APPROVED jika email sudah benar`
+              : 'perbaiki Email';
+            await this.updateCell(rowIndex, columns.isSharedCol !== -1 ? columns.toCol(columns.isSharedCol) : 'D', 'REVIEW');
+            await this.updateCell(rowIndex, columns.toCol(columns.emailSuggestionCol), emailCheck.suggestion);
+            await this.updateCell(rowIndex, columns.lastLogCol !== -1 ? columns.toCol(columns.lastLogCol) : 'F', `[${this.getCurrentTimestamp()}] REVIEW EMAIL (${emailCheck.code}): ${emailCheck.reason} '${email}' → ${hint}`);
+          }
+          outcome('skipped', 'REVIEW', `EMAIL ${emailCheck.code} '${email}': ${emailCheck.reason}${emailCheck.suggestion ? ` (suggest ${emailCheck.suggestion})` : ''}`, { op: 'validate', reasons: [emailCheck.code] });
+          continue;
+        }
+        if (participant.emailSuggestion) {
+          await this.updateCell(rowIndex, columns.toCol(columns.emailSuggestionCol), '');
+        }
+
+        // Revoke requested for this row
+        if (participant.revoke) {
+          const revokeFolderId = participant.folderId || (fileMode
+            ? (await this.matchFile(participant, parentFolderId)).folderId
+            : await this.findFolderByName(nama, parentFolderId));
+          if (revokeFolderId) {
+            journalKey = `${revokeFolderId}|${email}`;
+            this.journalAppend({ phase: 'intent', key: journalKey, op: 'revoke', folderId: revokeFolderId, email, row: rowIndex });
+          }
+          const result = revokeFolderId ? await this.revokePermission(revokeFolderId, email) : { status: 'NOT_FOUND', count: 0 };
+          if (journalKey) this.journalAppend({ phase: 'done', key: journalKey, status: result.status });
+          const status = dryRun ? 'DRY_RUN' : 'REVOKED';
+          const detail = result.count > 0 ? `${status} → ${email}` : `${status}: no access found for ${email}`;
+          if (!dryRun) {
+            await this.updateCell(rowIndex, columns.isSharedCol !== -1 ? columns.toCol(columns.isSharedCol) : 'D', 'REVOKED');
+            if (revokeFolderId) this.forgetShared(revokeFolderId, email);
+          }
+          await this.updateCell(rowIndex, columns.lastLogCol !== -1 ? columns.toCol(columns.lastLogCol) : 'F', `[${this.getCurrentTimestamp()}] ${detail}`);
+          outcome(result.count > 0 ? 'revoked' : 'skipped', status, `${status} ${email} on ${revokeFolderId || '(no folder)'} (${result.count} permission)`, { op: 'revoke', folderId: revokeFolderId || '' });
+          if (journalKey) this.journalUnsynced.add(journalKey);
+          continue;
+        }
+
+        // Resolve per-row role (fallback to default)
+        const role = participant.role ? this.normalizeRole(participant.role) : defaultRole;
+        if (!role) {
+          await this.updateCell(rowIndex, columns.lastLogCol !== -1 ? columns.toCol(columns.lastLogCol) : 'F', `[${this.getCurrentTimestamp()}] SKIP: INVALID ROLE '${participant.role}' (reader/commenter/writer)`);
+          outcome('skipped', 'SKIP', `SKIP invalid role: ${participant.role}`, { op: 'validate' });
+          continue;
+        }
+
+        // Masa akses (ExpiresAt): tanggal tidak terbaca atau sudah lewat → tidak dishare
+        const expiresAt = this.parseExpiresAt(participant.expiresAt);
+        if (expiresAt && isNaN(expiresAt)) {
+          await this.updateCell(rowIndex, columns.lastLogCol !== -1 ? columns.toCol(columns.lastLogCol) : 'F', `[${this.getCurrentTimestamp()}] SKIP: ExpiresAt '${participant.expiresAt}' tidak terbaca (YYYY-MM-DD atau DD/MM/YYYY)`);
+          outcome('skipped', 'SKIP', `SKIP invalid ExpiresAt: ${participant.expiresAt}`, { op: 'validate' });
+          continue;
+        }
+        if (expiresAt && expiresAt.getTime() <= Date.now()) {
+          if (!dryRun) await this.updateCell(rowIndex, columns.isSharedCol !== -1 ? columns.toCol(columns.isSharedCol) : 'D', 'EXPIRED');
+          await this.updateCell(rowIndex, columns.lastLogCol !== -1 ? columns.toCol(columns.lastLogCol) : 'F', `[${this.getCurrentTimestamp()}] EXPIRED: ExpiresAt ${this.formatExpiry(expiresAt)} sudah lewat, tidak dishare`);
+          outcome('skipped', 'EXPIRED', `SKIP expired at ${expiresAt.toISOString()}`, { op: 'validate' });
           continue;
         }
+        const untilNote = expiresAt ? ` (sampai ${this.formatExpiry(expiresAt)})` : '';
 
         // Deduplicate by (name+email)
         const key = `${nama.toLowerCase()}|${email}`;
         if (seen.has(key)) {
-          stats.skipped++;
           await this.updateCell(rowIndex, 'F', `[${this.getCurrentTimestamp()}] SKIP: Duplicate entry`);
-          this.writeLog(`Row ${rowIndex} SKIP duplicate: ${nama}|${email}`);
+          outcome('skipped', 'SKIP', `SKIP duplicate: ${nama}|${email}`, { op: 'validate' });
           continue;
         }
         seen.add(key);
 
         // Skip if already shared
-        if (participant.isShared && participant.isShared.toLowerCase() === 'true') {
-          stats.skipped++;
+        if (participant.isShared && participant.isShared.toLowerCase() === 'true' && !participant.roleChanged) {
           await this.updateCell(rowIndex, columns.lastLogCol !== -1 ? columns.toCol(columns.lastLogCol) : 'F', `[${this.getCurrentTimestamp()}] SKIP: Already shared`);
-          this.writeLog(`Row ${rowIndex} SKIP already shared`);
+          outcome('skipped', 'SKIP', 'SKIP already shared', { op: 'check' });
           continue;
         }
 
         // Find folder
         let folderId = participant.folderId;
+        let folderCreated = false;
+        const reviewState = String(participant.isFolderExists || '').trim().toUpperCase();
+        // Hanya kandidat tunggal yang bisa di-approve; ambiguous harus isi FolderId
+        const candidateId = participant.matchCandidate.includes(';') ? '' : participant.matchCandidate.split('|')[0].trim();
+        if (!folderId && reviewState === 'REJECTED') {
+          // Ditolak reviewer: tunggu FolderId diisi manual
+          outcome('skipped', 'REJECTED', 'SKIP match rejected, waiting for FolderId', { op: 'match' });
+          continue;
+        }
+        if (!folderId && (reviewState === 'APPROVED' || reviewState === 'TRUE') && candidateId) {
+          // Kandidat disetujui reviewer
+          folderId = candidateId;
+          this.writeLog(`Row ${rowIndex} using approved match candidate ${candidateId}`);
+        }
+        if (!folderId && reviewState === 'REVIEW') {
+          // Masih menunggu review manusia
+          outcome('skipped', 'REVIEW', 'SKIP waiting for match review', { op: 'match' });
+          continue;
+        }
         if (!folderId) {
-          folderId = await this.findFolderByName(nama, parentFolderId);
+          const match = fileMode ? await this.matchFile(participant, parentFolderId) : await this.matchFolder(nama, parentFolderId);
+          const candidateText = match.candidates.map(c => `${c.id} | ${c.name}`).join(' ; ');
+          const scoreText = match.candidates.map(c => c.score.toFixed(2)).join(' ; ');
+          if (match.status === 'review' || match.status === 'ambiguous') {
+            await this.updateCell(rowIndex, columns.isFolderExistsCol !== -1 ? columns.toCol(columns.isFolderExistsCol) : 'E', 'REVIEW');
+            await this.updateCell(rowIndex, columns.toCol(columns.matchCandidateCol), candidateText);
+            await this.updateCell(rowIndex, columns.toCol(columns.matchScoreCol), scoreText);
+            const reason = match.status === 'ambiguous' ? `AMBIGUOUS: ${match.candidates.length} folder cocok` : 'PERLU REVIEW: nama mirip';
+            await this.updateCell(rowIndex, columns.lastLogCol !== -1 ? columns.toCol(columns.lastLogCol) : 'F', `[${this.getCurrentTimestamp()}] ${reason} '${nama}' → set isFolderExists=APPROVED/REJECTED atau isi FolderId`);
+            outcome('skipped', 'REVIEW', `${match.status.toUpperCase()} name='${nama}' candidates=${candidateText} scores=${scoreText}`, { op: 'match' });
+            continue;
+          }
+          if (match.status === 'fuzzy' || match.status === 'normalized') {
+            await this.updateCell(rowIndex, columns.toCol(columns.matchCandidateCol), candidateText);
+            await this.updateCell(rowIndex, columns.toCol(columns.matchScoreCol), scoreText);
+            this.writeLog(`Row ${rowIndex} ${match.status} match name='${nama}' -> ${candidateText} (${scoreText})`);
+          }
+          folderId = match.folderId;
+
+          // Buat folder peserta jika belum ada
+          if (!folderId && match.status === 'none' && autoCreate) {
+            if (dryRun) {
+              const localCount = this.findLocalFiles(uploadFiles, participant).length;
+              await this.updateCell(rowIndex, columns.lastLogCol !== -1 ? columns.toCol(columns.lastLogCol) : 'F', `[${this.getCurrentTimestamp()}] DRY_RUN: folder '${nama}' akan dibuat (${localCount} file diupload)`);
+              outcome('skipped', 'DRY_RUN', `DRY_RUN would create folder '${nama}' with ${localCount} files`, { op: 'createFolder' });
+              continue;
+            }
+            folderId = await this.createFolder(nama, parentFolderId);
+            folderCreated = true;
+            this.writeLog(`Row ${rowIndex} created folder '${nama}' -> ${folderId}`);
+          }
         }
 
         if (!folderId) {
-          stats.errors++;
           await this.updateCell(rowIndex, columns.isFolderExistsCol !== -1 ? columns.toCol(columns.isFolderExistsCol) : 'E', 'FALSE');
-          await this.updateCell(rowIndex, columns.lastLogCol !== -1 ? columns.toCol(columns.lastLogCol) : 'F', `[${this.getCurrentTimestamp()}] FOLDER NOT FOUND: '${nama}'`);
-          this.writeLog(`Row ${rowIndex} ERROR folder not found for name='${nama}'`, 'error');
+          const what = fileMode ? 'FILE' : 'FOLDER';
+          await this.updateCell(rowIndex, columns.lastLogCol !== -1 ? columns.toCol(columns.lastLogCol) : 'F', `[${this.getCurrentTimestamp()}] ${what} NOT FOUND: '${nama}'`);
+          outcome('errors', `${what}_NOT_FOUND`, `ERROR ${what.toLowerCase()} not found for name='${nama}'`, { op: 'match' }, 'error');
+          // Looked up in an incomplete index: try again on the next poll
+          if (indexIncomplete && handledRows) delete handledRows[rowIndex];
           continue;
         }
 
@@ -799,48 +2968,93 @@ class CertificateSharing {
         if (!participant.folderId) {
           await this.updateCell(rowIndex, columns.folderIdCol !== -1 ? columns.toCol(columns.folderIdCol) : 'C', folderId);
         }
+        if (fileMode && columns.fileLinkCol !== -1 && participant.fields.FileLink !== this.fileLink(folderId)) {
+          await this.updateCell(rowIndex, columns.toCol(columns.fileLinkCol), this.fileLink(folderId));
+        }
+
+        // Upload sertifikat lokal ke folder
+        let folderNote = folderCreated ? ' (folder dibuat)' : '';
+        if (uploadFiles) {
+          const up = await this.uploadCertificates(folderId, this.findLocalFiles(uploadFiles, participant));
+          folderNote += ` [upload: ${up.uploaded} baru, ${up.updated} diperbarui, ${up.skipped} sama]`;
+          this.writeLog(`Row ${rowIndex} upload to ${folderId}: uploaded=${up.uploaded} updated=${up.updated} skipped=${up.skipped}`);
+        }
 
-        // Check existing permission
-        const hasPermission = await this.hasPermission(folderId, email, role);
-        if (hasPermission) {
-          stats.skipped++;
+        // Check existing permission (same or higher role → skip, lower → upgrade)
+        const existing = await this.findUserPermission(folderId, email);
+        if (existing && this.roleRank(existing.role) >= this.roleRank(role)) {
           await this.updateCell(rowIndex, columns.isSharedCol !== -1 ? columns.toCol(columns.isSharedCol) : 'D', 'TRUE');
-          await this.updateCell(rowIndex, columns.lastLogCol !== -1 ? columns.toCol(columns.lastLogCol) : 'F', `[${this.getCurrentTimestamp()}] SKIP: Already has ${role} access`);
-          this.writeLog(`Row ${rowIndex} SKIP already has ${role}`);
+          await this.updateCell(rowIndex, columns.lastLogCol !== -1 ? columns.toCol(columns.lastLogCol) : 'F', `[${this.getCurrentTimestamp()}] SKIP: Already has ${existing.role} access${folderNote}`);
+          outcome('skipped', 'SKIP', `SKIP already has ${existing.role} (wanted ${role})`, { op: 'check', folderId, role: existing.role });
+          this.rememberShared(folderId, participant, existing.role);
+          if (expiresAt && !dryRun) await this.applyExpiry(folderId, participant, expiresAt);
           continue;
         }
 
-        // Grant permission
-        await this.grantPermission(folderId, email);
-        
-        stats.done++;
-        await this.updateCell(rowIndex, columns.isSharedCol !== -1 ? columns.toCol(columns.isSharedCol) : 'D', 'TRUE');
-        const status = dryRun ? 'DRY_RUN' : 'GRANTED';
-        await this.updateCell(rowIndex, columns.lastLogCol !== -1 ? columns.toCol(columns.lastLogCol) : 'F', `[${this.getCurrentTimestamp()}] ${status} ${role} → ${email}`);
-        this.writeLog(`Row ${rowIndex} ${status} ${role} -> ${email}`);
+        journalKey = `${folderId}|${email}`;
+        this.journalAppend({ phase: 'intent', key: journalKey, op: existing ? 'upgrade' : 'grant', folderId, email, role, row: rowIndex });
+        const finish = async (status) => {
+          this.journalAppend({ phase: 'done', key: journalKey, status });
+          await this.updateCell(rowIndex, columns.isSharedCol !== -1 ? columns.toCol(columns.isSharedCol) : 'D', 'TRUE');
+          await this.updateCell(rowIndex, columns.lastLogCol !== -1 ? columns.toCol(columns.lastLogCol) : 'F', `[${this.getCurrentTimestamp()}] ${status} ${role} → ${email}${untilNote}${folderNote}`);
+          outcome('done', status, `${status} ${role} -> ${email}`, { op: existing ? 'upgrade' : 'grant', folderId, role });
+          this.journalUnsynced.add(journalKey);
+          if (!dryRun) this.rememberShared(folderId, participant, role);
+        };
+        if (existing) {
+          // Upgrade lower role
+          const fromRole = existing.role;
+          await this.upgradePermission(folderId, existing, role);
+          if (expiresAt && !dryRun) await this.applyExpiry(folderId, participant, expiresAt);
+          await finish(dryRun ? 'DRY_RUN' : `UPGRADED ${fromRole} →`);
+        } else {
+          // Grant permission (optionally with notification email)
+          const notify = participant.notify ? this.isTruthy(participant.notify) : notifyDefault;
+          const notification = notify
+            ? {
+              message: this.renderTemplate(notifyTemplate, {
+                ...participant.fields,
+                FolderId: folderId,
+                // File mode: {{FolderLink}} also points at the file, so old templates keep working
+                FolderLink: fileMode ? this.fileLink(folderId) : `https://drive.google.com/drive/folders/${folderId}`,
+                ...(fileMode ? { FileId: folderId, FileLink: this.fileLink(folderId) } : {}),
+                Role: role
+              })
+            }
+            : null;
+          if (dryRun && notification) {
+            console.log(chalk.gray(`\n✉️  [DRY_RUN] Email ke ${email}:\n${notification.message || '(tanpa pesan, hanya notifikasi default Drive)'}\n`));
+          }
+          const done = async (granted) => {
+            if (expiresAt && !dryRun) this.scheduleExpiry(folderId, participant, expiresAt, granted.expirationOnDrive);
+            await finish(dryRun ? 'DRY_RUN' : (notification ? 'GRANTED+NOTIFIED' : 'GRANTED'));
+          };
+          if (batchSize && !dryRun) {
+            // Sent with the next batch (full queue, or after the last row)
+            pendingGrants.push({ fileId: folderId, email, role, notification, expiresAt, done, fail });
+            if (pendingGrants.length >= batchSize) await flushGrants();
+          } else {
+            await done(await this.grantPermission(folderId, email, role, notification, expiresAt));
+          }
+        }
 
         // Optional steady throttle between participants (light jitter)
         const jitter = Math.floor(Math.random() * 200);
         await this.sleep(Math.max(0, Math.floor(throttleMs / 2)) + jitter);
 
       } catch (error) {
-        stats.errors++;
-        const summary = this.formatErrorSummary(error);
-        const ctxInfo = error?.__op ? ` op=${error.__op}` : '';
-        const more = error?.__ctx ? ` ctx=${JSON.stringify(error.__ctx)}` : '';
-        const logLine = `[${this.getCurrentTimestamp()}] ERROR:${ctxInfo}${more} ${summary}`;
-        console.log(chalk.red(`
-❌ ERROR processing row ${rowIndex} (${nama}, ${email})
-   ${logLine}
-`));
-        await this.updateCell(rowIndex, columns.isSharedCol !== -1 ? columns.toCol(columns.isSharedCol) : 'D', 'FALSE');
-        await this.updateCell(rowIndex, columns.lastLogCol !== -1 ? columns.toCol(columns.lastLogCol) : 'F', logLine);
-        this.writeLog(`Row ${rowIndex} ERROR ${ctxInfo}${more} ${summary}`, 'error');
+        await fail(error);
       }
     }
+    await flushGrants();
+    this.permissionCache.clear();
 
+    this.progressBar.update(workingParticipants.length, { status: 'Flushing sheet updates...' });
+    await this.flushUpdates();
     this.progressBar.update(workingParticipants.length, { status: 'Completed!' });
     this.progressBar.stop();
+    if (this.shareSnapshot) this.writeStateFile(this.getShareSnapshotName(), this.shareSnapshot);
+    if (this.expirySchedule && !dryRun) this.writeStateFile(this.getExpiryStateName(), this.expirySchedule);
 
     // Final summary
     console.log();
@@ -849,74 +3063,495 @@ class CertificateSharing {
     console.log(`📈 Total: ${chalk.cyan(stats.total)}`);
     console.log(`✅ Berhasil: ${chalk.green(stats.done)}`);
     console.log(`⏭️  Dilewati: ${chalk.yellow(stats.skipped)}`);
+    console.log(`🚫 Dicabut: ${chalk.magenta(stats.revoked)}`);
     console.log(`❌ Error: ${chalk.red(stats.errors)}`);
+    if (quotaStop) {
+      stats.quotaPausedUntil = quotaStop.resetAt;
+      console.log(chalk.yellow(`⏸️  ${quotaStop.message}`));
+      this.writeLog(`Share quota exhausted on all service accounts, paused until ${new Date(quotaStop.resetAt).toISOString()}`, 'warn');
+      this.report('error', { message: quotaStop.message });
+    }
     
     const successRate = stats.total > 0 ? (stats.done / stats.total * 100).toFixed(1) : 0;
     console.log(`🎯 Success Rate: ${chalk.green(successRate + '%')}`);
     console.log();
-    const summaryLine = `Summary: total=${stats.total} done=${stats.done} skipped=${stats.skipped} errors=${stats.errors} successRate=${successRate}%`;
-    this.writeLog(summaryLine);
+    const summaryLine = `Summary: total=${stats.total} done=${stats.done} skipped=${stats.skipped} revoked=${stats.revoked} errors=${stats.errors} successRate=${successRate}%`;
+    this.writeLog(summaryLine, 'info', { op: 'summary', total: stats.total, done: stats.done, skipped: stats.skipped, revoked: stats.revoked, errors: stats.errors });
     if (this.logFilePath) console.log(chalk.gray(`📝 Log file: ${this.logFilePath}`));
-    console.log(chalk.blue('✅ Proses selesai! Cek Google Sheet untuk detail lengkap.'));
+    this.report('run', { startedAt: stats.startedAt, finishedAt: new Date().toISOString(), total: stats.total, done: stats.done, skipped: stats.skipped, revoked: stats.revoked, errors: stats.errors });
+    const report = this.writeRunReport(stats);
+    if (report) console.log(chalk.gray(`📄 Laporan: ${report.htmlPath}`));
+    console.log(chalk.blue(`✅ Proses selesai! Cek ${this.getSource().type === 'sheets' ? 'Google Sheet' : 'file peserta'} untuk detail lengkap.`));
+    return stats;
+  }
+
+  // Count a row outcome (done/skipped/errors/revoked) and keep it for the run report
+  recordRow(stats, kind, entry) {
+    stats[kind]++;
+    stats.rows.push({ outcome: kind, ...entry });
+    this.report('row', { kind, row: entry.row, nama: entry.nama, status: entry.status, httpStatus: entry.httpStatus, reasons: entry.reasons });
+  }
+
+  // Progress message to the monitor (supervised workers only)
+  report(event, fields = {}) {
+    if (!this.supervised || !process.connected) return;
+    try { process.send({ type: 'progress', event, ...fields }); } catch (_) {}
+  }
+
+  // Console progress bar; supervised workers send the same updates to the monitor instead
+  createProgressBar() {
+    if (!this.supervised) {
+      return new cliProgress.SingleBar({
+        format: chalk.cyan('Progress') + ' |{bar}| {percentage}% | {value}/{total} | {status}',
+        barCompleteChar: '█',
+        barIncompleteChar: '░',
+        hideCursor: true
+      });
+    }
+    let total = 0;
+    return {
+      start: (n, value, payload = {}) => { total = n; this.report('bar', { value, total, status: payload.status }); },
+      update: (value, payload = {}) => this.report('bar', { value, total, status: payload.status }),
+      stop: () => this.report('bar', { value: total, total, status: 'idle' })
+    };
   }
 
-  // Main application flow
-  async run() {
+  // CSV + HTML report of this run under <logDir>/reports (skipped when nothing happened)
+  writeRunReport(stats) {
+    const envReports = process.env.RUN_REPORTS;
+    const enabled = typeof envReports === 'string' ? envReports === 'true' : config.get('runReports') !== false;
+    if (!enabled || stats.rows.length === 0) return null;
     try {
-      this.printHeader();
+      const report = writeRunReport(path.join(this.getLogDir(), 'reports'), stats, {
+        startedAt: stats.startedAt,
+        finishedAt: new Date().toISOString(),
+        profile: config.profile,
+        source: this.getSource().describe(),
+        dryRun: !!config.get('dryRun'),
+        shard: this.shardTotal > 0 ? `${this.shardIndex}/${this.shardTotal}` : ''
+      });
+      this.writeLog(`Run report: ${report.csvPath}, ${report.htmlPath}`, 'info', { op: 'report' });
+      return report;
+    } catch (e) {
+      this.writeLog(`Cannot write run report: ${e.message}`, 'warn');
+      return null;
+    }
+  }
+
+  // Save buffered sheet writes when stopped (Ctrl+C, monitor SIGTERM)
+  installSignalHandlers() {
+    const saveAndExit = () => {
+      try { this.savePendingUpdates(); } catch (_) {}
+      process.exit(0);
+    };
+    process.on('SIGINT', saveAndExit);
+    process.on('SIGTERM', saveAndExit);
+    // Monitor gone: do not keep running unsupervised
+    if (this.supervised) process.on('disconnect', saveAndExit);
+  }
 
-      // Setup authentication
-      if (!(await this.setupAuth())) return;
+  // Setup auth + config for subcommands; false when not usable (see exitCode)
+  async prepare({ header = true } = {}) {
+    if (header) this.printHeader();
+    if (!(await this.setupAuth())) return false;
+    if (!(await this.setupConfig())) return false;
+    return true;
+  }
 
-      // Setup configuration
-      if (!(await this.setupConfig())) return;
+  // Share once or loop (LOOP=true); returns exit code
+  // options: passed to processParticipants
+  async run(options = {}) {
+    try {
+      if (!(await this.prepare())) return this.exitCode;
 
       const loop = String(process.env.LOOP || '').toLowerCase() === 'true';
       const pollSec = Math.max(5, parseInt(process.env.POLL_INTERVAL || '30', 10) || 30);
       if (!loop) {
         // Single pass
         const data = await this.getSpreadsheetDataFlexible();
-        if (!data) return;
-        await this.processParticipants(data);
+        if (!data) {
+          this.exitCode = EXIT.ERROR;
+          return this.exitCode;
+        }
+        const stats = await this.processParticipants(data, options);
+        if (stats && (stats.errors > 0 || stats.quotaPausedUntil) && this.exitCode === EXIT.OK) this.exitCode = EXIT.PARTIAL;
       } else {
-        console.log(chalk.cyan(`🔁 Loop mode aktif. Interval: ${pollSec}s`));
-        this.writeLog(`Loop mode enabled. Interval=${pollSec}s`);
+        const incremental = this.isIncrementalPoll();
+        console.log(chalk.cyan(`🔁 Loop mode aktif. Interval: ${pollSec}s${incremental ? ' (incremental)' : ''}`));
+        this.writeLog(`Loop mode enabled. Interval=${pollSec}s incremental=${incremental}`);
+        if (!this.supervised) await this.startWebhook();
+        let quotaPausedUntil = 0;
         while (true) {
           try {
-            const data = await this.getSpreadsheetDataFlexible();
-            if (data) {
-              await this.processParticipants(data);
+            // Webhook requests received since the last poll
+            const woken = this.woken;
+            const priority = this.wakeRequests.splice(0);
+            this.woken = false;
+            let pollMode = incremental ? await this.getPollMode() : null;
+            // Drive may not report the new version yet right after a form submit
+            if (pollMode === 'skip' && (woken || priority.length > 0)) pollMode = 'incremental';
+            if (pollMode === 'skip') {
+              this.dlog('Source unchanged since last poll, skipped');
+            } else {
+              const version = pollMode ? await this.readSourceVersion() : null;
+              const data = await this.getSpreadsheetDataFlexible();
+              const stats = data ? await this.processParticipants(data, { ...options, pollMode, priority }) : null;
+              if (pollMode) await this.savePollState(pollMode, stats, version);
+              if (stats && stats.quotaPausedUntil) quotaPausedUntil = stats.quotaPausedUntil;
             }
           } catch (err) {
             console.log(chalk.red(`Loop error: ${err.message}`));
             this.writeLog(`Loop error: ${err.message}`, 'error');
+            this.report('error', { message: err.message });
+            if (this.pollState) this.pollState.pending = true;
+          }
+          // All service accounts out of share quota: wait for the daily reset
+          const pauseSec = Math.ceil((quotaPausedUntil - Date.now()) / 1000);
+          if (pauseSec > pollSec) {
+            console.log(chalk.yellow(`⏸️  Kuota share habis, loop dijeda sampai ${this.formatExpiry(quotaPausedUntil)}`));
+            await this.sleepWithCountdown(pauseSec);
+          } else {
+            await this.sleepWithCountdown(pollSec);
           }
-          await this.sleepWithCountdown(pollSec);
         }
       }
-
+      return this.exitCode;
     } catch (error) {
       console.log();
       console.log(chalk.red(`❌ Unexpected Error: ${error.message}`));
-      process.exit(1);
+      this.writeLog(`Unexpected Error: ${error.message}`, 'error');
+      this.exitCode = EXIT.ERROR;
+      return this.exitCode;
+    }
+  }
+
+  // Summarize sheet state + local state for the status command
+  getStatusSummary(data) {
+    const summary = { profile: config.profile, total: 0, shared: 0, revoked: 0, expired: 0, notShared: 0, review: 0, emailReview: 0, folderMissing: 0, errors: 0, pendingWrites: 0, openJournal: 0 };
+    for (const p of data.participants) {
+      if (!p.nama && !p.email) continue;
+      summary.total++;
+      const shared = String(p.isShared || '').trim().toUpperCase();
+      const folder = String(p.isFolderExists || '').trim().toUpperCase();
+      if (shared === 'TRUE') summary.shared++;
+      else if (shared === 'REVOKED') summary.revoked++;
+      else if (shared === 'EXPIRED') summary.expired++;
+      else summary.notShared++;
+      if (shared === 'REVIEW') summary.emailReview++;
+      if (folder === 'REVIEW') summary.review++;
+      if (folder === 'FALSE') summary.folderMissing++;
+      if (/\] ERROR/.test(p.lastLog || '')) summary.errors++;
+    }
+    summary.pendingWrites = this.readStateFile(this.getPendingUpdatesName(), []).length;
+    for (const st of this.loadJournal().values()) {
+      if (!['synced', 'failed', 'abandoned'].includes(st.phase)) summary.openJournal++;
+    }
+    // Share counts of the service account pool today (unreadable key files are listed by name)
+    const poolFiles = this.getServiceAccountFiles();
+    if (poolFiles.length > 0) {
+      const accounts = poolFiles.map((name) => {
+        const file = this.findCredentialFile(name);
+        try { return this.readServiceAccount(file); } catch (_) { return { email: name }; }
+      });
+      summary.shareQuota = this.createAccountPool(accounts).summary().map(({ active, ...a }) => a);
+    }
+    return summary;
+  }
+
+  // Print status summary
+  printStatus(summary) {
+    console.log();
+    console.log(chalk.blue('📊 STATUS'));
+    console.log(chalk.gray('─'.repeat(40)));
+    if (summary.profile !== DEFAULT_PROFILE) console.log(`👤 Profil: ${chalk.cyan(summary.profile)}`);
+    console.log(`📈 Total peserta: ${chalk.cyan(summary.total)}`);
+    console.log(`✅ Sudah dishare: ${chalk.green(summary.shared)}`);
+    console.log(`⏳ Belum dishare: ${chalk.yellow(summary.notShared)}`);
+    console.log(`🚫 Dicabut: ${chalk.magenta(summary.revoked)}`);
+    console.log(`⌛ Kedaluwarsa: ${chalk.magenta(summary.expired)}`);
+    console.log(`🔍 Perlu review: ${chalk.yellow(summary.review)}`);
+    console.log(`📧 Email perlu review: ${chalk.yellow(summary.emailReview)}`);
+    console.log(`📁 Folder tidak ada: ${chalk.red(summary.folderMissing)}`);
+    console.log(`❌ Error terakhir: ${chalk.red(summary.errors)}`);
+    console.log(`📝 Update sheet tertunda: ${chalk.cyan(summary.pendingWrites)}`);
+    console.log(`📒 Journal terbuka: ${chalk.cyan(summary.openJournal)}`);
+    if (summary.shareQuota) {
+      console.log(`🔑 Kuota share hari ini (${summary.shareQuota.filter(a => a.available).length}/${summary.shareQuota.length} akun tersedia):`);
+      for (const a of summary.shareQuota) {
+        const state = a.exhausted ? chalk.red('habis (rate limit)') : (a.available ? chalk.green('tersedia') : chalk.yellow('budget tercapai'));
+        console.log(chalk.gray(`   ${a.email}: ${a.shares}${a.budget ? `/${a.budget}` : ''} share — `) + state);
+      }
+    }
+  }
+
+  // Folder metadata for verify; null when the folder is gone (404)
+  async getFolderInfo(folderId) {
+    try {
+      const res = await this.withRetry('drive.files.get', { folderId }, () => this.drive.files.get({
+        fileId: folderId,
+        fields: 'id, name, trashed, parents',
+        supportsAllDrives: true
+      }), 5);
+      return res.data;
+    } catch (error) {
+      if (Number(this.extractErrorDetails(error).status) === 404) return null;
+      throw error;
     }
   }
+
+  // Audit Drive permissions of every row with a FolderId against the sheet.
+  // options.fixSheet: write the real state back; options.regrant: re-grant missing/lower access
+  async verifyShares(data, options = {}) {
+    const { fixSheet = false, regrant = false } = options;
+    const dryRun = config.get('dryRun');
+    const columns = data.columns;
+    const col = (index, fallback) => (index !== -1 ? columns.toCol(index) : fallback);
+    const result = { checked: 0, ok: 0, folders: 0, drift: [], fixed: 0, regranted: 0 };
+    const defaultRole = this.normalizeRole(config.get('role')) || 'reader';
+    const parentId = config.get('parentFolderId');
+
+    // Rows per folder (one folder can be shared with several rows)
+    const byFolder = new Map();
+    for (const p of data.participants) {
+      if (!p.folderId || !p.email) continue;
+      if (!byFolder.has(p.folderId)) byFolder.set(p.folderId, []);
+      byFolder.get(p.folderId).push(p);
+    }
+
+    // Access inherited from the parent folder / the service account itself is expected everywhere
+    const inherited = new Set();
+    if (this.serviceAccountEmail) inherited.add(this.serviceAccountEmail.toLowerCase());
+    if (this.identity && this.identity.email) inherited.add(this.identity.email.toLowerCase());
+    const fileMode = this.isFileMode();
+    const what = fileMode ? 'file' : 'folder';
+    const permissionKey = (perm) => (perm.type === 'anyone' ? `anyone:${perm.role}` : perm.type === 'domain' ? `domain:${perm.domain || ''}:${perm.role}` : (perm.emailAddress || '').toLowerCase());
+    if (parentId) {
+      if (!fileMode) await this.ensureFolderIndex(parentId);
+      for (const perm of await this.listPermissions(parentId)) {
+        if (permissionKey(perm)) inherited.add(permissionKey(perm));
+      }
+    }
+    // Shared drives mark inherited entries; in My Drive the folders between the parent and the
+    // participant folder (folderMaxDepth >= 2) are looked up in the folder index instead
+    const ancestorKeys = new Map();
+    const inheritedFromAncestors = async (folderId) => {
+      const keys = new Set();
+      const folders = (this.folderIndex && this.folderIndex.folders) || {};
+      let id = folders[folderId] && folders[folderId].parent;
+      while (id && id !== parentId && folders[id]) {
+        if (!ancestorKeys.has(id)) ancestorKeys.set(id, new Set((await this.listPermissions(id)).map(permissionKey).filter(Boolean)));
+        for (const key of ancestorKeys.get(id)) keys.add(key);
+        id = folders[id].parent;
+      }
+      return keys;
+    };
+
+    const spinner = ora(`🔎 Memeriksa ${byFolder.size} ${what}...`).start();
+    const report = (p, type, issue) => {
+      result.drift.push({ row: p.rowIndex, nama: p.nama, email: p.email.trim().toLowerCase(), folderId: p.folderId, type, issue });
+      this.writeLog(`Verify row ${p.rowIndex} ${p.folderId} ${type}: ${issue}`, 'warn');
+    };
+    const write = async (p, updates, log) => {
+      if (!fixSheet || dryRun) return;
+      for (const [c, value] of updates) await this.updateCell(p.rowIndex, c, value);
+      await this.updateCell(p.rowIndex, col(columns.lastLogCol, 'F'), `[${this.getCurrentTimestamp()}] VERIFY: ${log}`);
+      result.fixed++;
+    };
+
+    // Permission lists of the next folders come in one Drive batch request
+    const folderIds = [...byFolder.keys()];
+    const batchSize = this.getDriveBatchSize();
+    for (const [folderId, rows] of byFolder) {
+      if (batchSize && result.folders % batchSize === 0) await this.prefetchPermissions(folderIds.slice(result.folders, result.folders + batchSize));
+      result.folders++;
+      result.checked += rows.length;
+      spinner.text = `🔎 ${result.folders}/${byFolder.size} ${rows[0].nama}`;
+      try {
+        const folder = await this.getFolderInfo(folderId);
+        if (!folder || folder.trashed) {
+          const issue = folder ? `${what} ada di trash` : `${what} tidak ditemukan`;
+          for (const p of rows) {
+            report(p, folder ? 'trashed' : 'not_found', issue);
+            // Folder is resolved again on the next share run; REVOKED rows stay revoked
+            const updates = [[col(columns.folderIdCol, 'C'), ''], [col(columns.isFolderExistsCol, 'E'), 'FALSE']];
+            if (String(p.isShared || '').trim().toUpperCase() === 'TRUE') updates.push([col(columns.isSharedCol, 'D'), 'FALSE']);
+            await write(p, updates, issue);
+          }
+          continue;
+        }
+        const moved = fileMode
+          ? !(folder.parents || []).includes(parentId)
+          : !!this.folderIndex && !this.folderIndex.folders[folderId];
+        if (parentId && moved) {
+          const issue = `${what} dipindah keluar dari parent (parent sekarang: ${(folder.parents || []).join(', ') || '-'})`;
+          report(rows[0], 'moved', issue);
+          await write(rows[0], [], issue);
+        }
+
+        const permissions = await this.listPermissions(folderId);
+        const expected = new Set(rows.map(p => p.email.trim().toLowerCase()));
+        const hasDetails = permissions.some(perm => Array.isArray(perm.permissionDetails));
+        const fromAncestors = hasDetails || fileMode ? new Set() : await inheritedFromAncestors(folderId);
+        for (const perm of permissions) {
+          const email = (perm.emailAddress || '').toLowerCase();
+          const details = perm.permissionDetails || [];
+          if (details.length > 0 && details.every(d => d.inherited)) continue;
+          if (inherited.has(permissionKey(perm)) || fromAncestors.has(permissionKey(perm))) continue;
+          if (perm.type === 'anyone') {
+            report(rows[0], 'anyone', `terbuka untuk siapa saja yang punya link (${perm.role})`);
+          } else if (perm.type === 'domain') {
+            report(rows[0], 'domain', `terbuka untuk domain${perm.domain ? ` ${perm.domain}` : ''} (${perm.role})`);
+          } else if (perm.role !== 'owner' && email && !expected.has(email)) {
+            report(rows[0], 'extra', `akses tambahan: ${email} (${perm.role})`);
+          }
+        }
+
+        for (const p of rows) {
+          const email = p.email.trim().toLowerCase();
+          const shared = String(p.isShared || '').trim().toUpperCase();
+          const expectedRole = this.normalizeRole(p.role) || defaultRole;
+          const existing = permissions
+            .filter(x => x.type === 'user' && (x.emailAddress || '').toLowerCase() === email)
+            .sort((x, y) => this.roleRank(y.role) - this.roleRank(x.role))[0] || null;
+          const enough = !!existing && this.roleRank(existing.role) >= this.roleRank(expectedRole);
+
+          if (shared === 'REVOKED' || shared === 'EXPIRED') {
+            if (existing && existing.role !== 'owner') report(p, 'revoked_has_access', `sudah ${shared} tapi masih punya akses ${existing.role}`);
+            else result.ok++;
+            continue;
+          }
+          if (shared !== 'TRUE') {
+            if (enough) {
+              report(p, 'sheet_stale', `sudah punya akses ${existing.role}, sheet belum TRUE`);
+              await write(p, [[col(columns.isSharedCol, 'D'), 'TRUE']], `akses ${existing.role} ditemukan`);
+            }
+            continue;
+          }
+          if (enough) {
+            result.ok++;
+            continue;
+          }
+
+          const issue = existing ? `role ${existing.role} < ${expectedRole}` : 'akses hilang';
+          report(p, existing ? 'role' : 'missing', issue);
+          if (regrant) {
+            const journalKey = `${folderId}|${email}`;
+            this.journalAppend({ phase: 'intent', key: journalKey, op: existing ? 'upgrade' : 'grant', folderId, email, role: expectedRole, row: p.rowIndex });
+            const fromRole = existing && existing.role;
+            if (existing) await this.upgradePermission(folderId, existing, expectedRole);
+            else {
+              const until = this.parseExpiresAt(p.expiresAt);
+              await this.grantPermission(folderId, email, expectedRole, null, until && until.getTime() > Date.now() ? until : null);
+            }
+            const status = dryRun ? 'DRY_RUN' : (existing ? `UPGRADED ${fromRole} →` : 'REGRANTED');
+            this.journalAppend({ phase: 'done', key: journalKey, status });
+            if (!dryRun) {
+              result.regranted++;
+              await this.updateCell(p.rowIndex, col(columns.lastLogCol, 'F'), `[${this.getCurrentTimestamp()}] VERIFY: ${status} ${expectedRole} → ${email} (${issue})`);
+              this.journalUnsynced.add(journalKey);
+            }
+            this.writeLog(`Verify row ${p.rowIndex} ${status} ${expectedRole} -> ${email}`);
+          } else {
+            // Next share run grants it again
+            await write(p, [[col(columns.isSharedCol, 'D'), 'FALSE']], issue);
+          }
+        }
+      } catch (error) {
+        report(rows[0], 'error', this.formatErrorSummary(error));
+      }
+    }
+    this.permissionCache.clear();
+    spinner.stop();
+    await this.flushUpdates();
+    return result;
+  }
+
+  // Environment checks for the doctor command; returns [{ name, ok, detail }]
+  async runDoctor() {
+    const checks = [];
+    const add = (name, ok, detail = '') => {
+      checks.push({ name, ok, detail });
+      console.log(`${ok ? chalk.green('✔') : chalk.red('✘')} ${name}${detail ? chalk.gray(` — ${detail}`) : ''}`);
+    };
+
+    const major = Number(process.versions.node.split('.')[0]);
+    add('Node.js >= 14', major >= 14, process.versions.node);
+
+    try {
+      const dir = this.getStateDir();
+      fs.accessSync(dir, fs.constants.W_OK);
+      add('Folder state/ bisa ditulis', true, dir);
+    } catch (e) {
+      add('Folder state/ bisa ditulis', false, e.message);
+    }
+
+    const authOk = await this.setupAuth();
+    const local = this.getBackendName() === 'local';
+    const authLabels = { service: 'Kredensial service.json', oauth: 'Login OAuth', delegation: 'Delegasi domain (service.json)' };
+    add(local ? 'Backend lokal' : (authLabels[this.getAuthMethod()] || 'Kredensial'), authOk, this.identity ? this.identity.label : undefined);
+    if (authOk && !local) {
+      try {
+        await this.auth.getAccessToken();
+        add('Login Google API', true);
+      } catch (e) {
+        add('Login Google API', false, this.formatErrorSummary(e));
+      }
+    }
+
+    const hasConfig = (config.get('sheetId') && config.get('sheetName')) || config.get('sourceFile');
+    add('Konfigurasi sumber data', !!hasConfig, config.get('sourceFile') || `${config.get('sheetId')} / ${config.get('sheetName')}`);
+    if (hasConfig && (authOk || config.get('sourceFile'))) {
+      try {
+        const headers = await this.getSource().readHeaders();
+        add('Sumber data bisa dibaca', headers.length > 0, `${headers.length} kolom`);
+      } catch (e) {
+        add('Sumber data bisa dibaca', false, this.formatErrorSummary(e));
+      }
+    }
+
+    const parentFolderId = config.get('parentFolderId');
+    if (parentFolderId && authOk) {
+      try {
+        const res = await this.drive.files.get({ fileId: parentFolderId, fields: 'id,name,mimeType,trashed', supportsAllDrives: true });
+        const isFolder = res.data.mimeType === 'application/vnd.google-apps.folder' && !res.data.trashed;
+        add('Parent folder bisa diakses', isFolder, res.data.name);
+      } catch (e) {
+        add('Parent folder bisa diakses', false, this.formatErrorSummary(e));
+      }
+    }
+
+    if (process.env.NOTIFY === 'true' || config.get('notify')) {
+      add('Template notifikasi', !!this.loadNotifyTemplate(), process.env.NOTIFY_TEMPLATE || config.get('notifyTemplate'));
+    }
+    return checks;
+  }
 }
 
 // Run the application
 if (require.main === module) {
+  // Monitor workers (and PROFILE=<name> node index.js) select a named profile via env
+  try {
+    config.useProfile(process.env.PROFILE);
+  } catch (e) {
+    console.log(chalk.red(`❌ ${e.message}`));
+    process.exit(EXIT.USAGE);
+  }
+
   const app = new CertificateSharing();
-  
+
+  // Jangan hilangkan update sheet yang masih di buffer saat dihentikan
+  app.installSignalHandlers();
+
   app.run()
-    .then(() => {
+    .then((code) => {
       console.log();
-      console.log(chalk.gray('Press any key to exit...'));
       if (process.stdin.isTTY && typeof process.stdin.setRawMode === 'function') {
+        console.log(chalk.gray('Press any key to exit...'));
         process.stdin.setRawMode(true);
         process.stdin.resume();
-        process.stdin.once('data', () => process.exit(0));
+        process.stdin.once('data', () => process.exit(code));
       } else {
-        process.exit(0);
+        process.exit(code);
       }
     })
     .catch(error => {
@@ -926,3 +3561,6 @@ if (require.main === module) {
 }
 
 module.exports = CertificateSharing;
+module.exports.EXIT = EXIT;
+module.exports.config = config;
+module.exports.DEFAULT_PROFILE = DEFAULT_PROFILE;
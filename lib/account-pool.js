@@ -0,0 +1,140 @@
+// Several service accounts used in turn for shares. Drive limits how many shares one
+// account creates per day, so every account's count is kept in local state and an account is
+// skipped once it reaches the budget or Drive reports its daily sharing quota used up.
+// Each worker writes only its own state file; the counts of all workers are summed on read,
+// so concurrent workers never overwrite each other. Counters reset at midnight Pacific time.
+const QUOTA_TIME_ZONE = 'America/Los_Angeles';
+
+function pacificParts(ms) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: QUOTA_TIME_ZONE, hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(new Date(ms));
+  const get = (type) => Number(parts.find(p => p.type === type).value);
+  return { year: get('year'), month: get('month'), day: get('day'), hour: get('hour'), minute: get('minute'), second: get('second') };
+}
+
+// Quota day (YYYY-MM-DD, Pacific time)
+function quotaDay(ms = Date.now()) {
+  const p = pacificParts(ms);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+// Next midnight Pacific time (to the second)
+function nextQuotaReset(ms = Date.now()) {
+  const base = ms - (ms % 1000);
+  const p = pacificParts(base);
+  const reset = base - (p.hour * 3600 + p.minute * 60 + p.second) * 1000 + 86400000;
+  // DST change days are 23 or 25 hours long
+  const off = pacificParts(reset);
+  if (off.hour === 23) return reset + 3600000;
+  if (off.hour === 1) return reset - 3600000;
+  return reset;
+}
+
+class ShareQuotaPool {
+  // accounts: [{ email, ... }]; load() / save(state) read and write this worker's state file,
+  // loadOthers() returns the states of the other workers
+  constructor(accounts, { budget = 0, maxRateLimits = 3, load, save, loadOthers = () => [] }) {
+    this.accounts = accounts;
+    this.budget = Number(budget) || 0;
+    this.maxRateLimits = Math.max(1, Number(maxRateLimits) || 3);
+    this.load = load;
+    this.save = save;
+    this.loadOthers = loadOthers;
+    this.index = 0;
+  }
+
+  // This worker's state, reset on a new quota day
+  state() {
+    const day = quotaDay();
+    const state = this.load() || {};
+    return state.day === day ? { day, accounts: state.accounts || {} } : { day, accounts: {} };
+  }
+
+  entry(state, email) {
+    return state.accounts[email] || (state.accounts[email] = { shares: 0, rateLimits: 0, exhausted: false });
+  }
+
+  // All workers today: shares summed, exhausted when any worker saw the quota run out
+  totals(state = this.state()) {
+    const totals = {};
+    for (const s of [state, ...this.loadOthers()]) {
+      if (!s || s.day !== state.day) continue;
+      for (const [email, e] of Object.entries(s.accounts || {})) {
+        const t = totals[email] || (totals[email] = { shares: 0, exhausted: false });
+        t.shares += Number(e.shares) || 0;
+        t.exhausted = t.exhausted || !!e.exhausted;
+      }
+    }
+    return totals;
+  }
+
+  isAvailable(totals, email) {
+    const e = totals[email] || { shares: 0, exhausted: false };
+    return !e.exhausted && (this.budget <= 0 || e.shares < this.budget);
+  }
+
+  current() {
+    return this.accounts[this.index];
+  }
+
+  // First usable account, starting at the current one; null when all are used up today
+  pick() {
+    const totals = this.totals();
+    for (let i = 0; i < this.accounts.length; i++) {
+      const index = (this.index + i) % this.accounts.length;
+      if (this.isAvailable(totals, this.accounts[index].email)) {
+        this.index = index;
+        return this.accounts[index];
+      }
+    }
+    return null;
+  }
+
+  hasQuota(email = this.current().email) {
+    return this.isAvailable(this.totals(), email);
+  }
+
+  // Shares the account may still create today (Infinity without a budget)
+  remaining(email = this.current().email) {
+    if (this.budget <= 0) return Infinity;
+    const e = this.totals()[email];
+    return Math.max(0, this.budget - (e ? e.shares : 0));
+  }
+
+  recordShare(email) {
+    const state = this.state();
+    const e = this.entry(state, email);
+    e.shares++;
+    e.rateLimits = 0;
+    this.save(state);
+  }
+
+  // Daily sharing quota reported used up; returns true once the account counts as exhausted for today
+  recordRateLimit(email) {
+    const state = this.state();
+    const e = this.entry(state, email);
+    e.rateLimits++;
+    if (e.rateLimits >= this.maxRateLimits && !e.exhausted) {
+      e.exhausted = true;
+      e.exhaustedAt = new Date().toISOString();
+    }
+    this.save(state);
+    return e.exhausted;
+  }
+
+  resetAt() {
+    return nextQuotaReset();
+  }
+
+  summary() {
+    const totals = this.totals();
+    return this.accounts.map((a, i) => {
+      const e = totals[a.email] || { shares: 0, exhausted: false };
+      return { email: a.email, shares: e.shares, budget: this.budget, exhausted: e.exhausted, available: this.isAvailable(totals, a.email), active: i === this.index };
+    });
+  }
+}
+
+module.exports = { ShareQuotaPool, quotaDay, nextQuotaReset };
@@ -0,0 +1,90 @@
+// Drive batch requests: up to 100 permission calls in one multipart/mixed HTTP round trip.
+// Requests use the googleapis method names and params ({ method: 'permissions.create', params });
+// every sub-request gets its own result, { data } or { error } shaped like a googleapis error,
+// so the caller can retry the failed ones one by one.
+const crypto = require('crypto');
+
+const DRIVE_BATCH_URL = 'https://www.googleapis.com/batch/drive/v3';
+const MAX_BATCH_SIZE = 100;
+
+const ROUTES = {
+  'permissions.list': { verb: 'GET', path: (p) => `/drive/v3/files/${encodeURIComponent(p.fileId)}/permissions` },
+  'permissions.create': { verb: 'POST', path: (p) => `/drive/v3/files/${encodeURIComponent(p.fileId)}/permissions` }
+};
+
+function subError(status, data, fallbackMessage) {
+  const err = (data && data.error) || {};
+  const error = new Error(err.message || fallbackMessage || `HTTP ${status}`);
+  error.code = status;
+  error.errors = Array.isArray(err.errors) ? err.errors : [];
+  error.response = { status, data: data || {} };
+  return error;
+}
+
+// One application/http part per request; Content-ID keeps the order
+function buildBatchBody(requests, boundary) {
+  const parts = requests.map(({ method, params = {} }, i) => {
+    const route = ROUTES[method];
+    if (!route) throw new Error(`Drive batch: unsupported method ${method}`);
+    const query = new URLSearchParams();
+    for (const [key, value] of Object.entries(params)) {
+      if (key === 'fileId' || key === 'resource' || value === undefined || value === null) continue;
+      query.append(key, String(value));
+    }
+    const qs = query.toString();
+    const lines = [
+      `--${boundary}`,
+      'Content-Type: application/http',
+      `Content-ID: <item${i}>`,
+      '',
+      `${route.verb} ${route.path(params)}${qs ? `?${qs}` : ''}`
+    ];
+    if (params.resource) lines.push('Content-Type: application/json; charset=UTF-8', '', JSON.stringify(params.resource));
+    else lines.push('');
+    return lines.join('\r\n');
+  });
+  return `${parts.join('\r\n')}\r\n--${boundary}--\r\n`;
+}
+
+// multipart/mixed response → results in request order (a missing part counts as a 500)
+function parseBatchResponse(text, contentType, count) {
+  const match = /boundary="?([^";]+)"?/i.exec(contentType || '');
+  if (!match) throw new Error(`Drive batch: unexpected response type ${contentType || '(none)'}`);
+  const results = new Array(count).fill(null);
+  for (const part of String(text).split(`--${match[1]}`)) {
+    const [head, ...rest] = part.split(/\r?\n\r?\n/);
+    const id = /Content-ID:\s*<response-item(\d+)>/i.exec(head || '');
+    if (!id) continue;
+    const [statusHead, ...bodyParts] = rest.join('\r\n\r\n').split(/\r?\n\r?\n/);
+    const status = Number((/^HTTP\/[\d.]+\s+(\d{3})/.exec(statusHead.trim()) || [])[1]) || 500;
+    const bodyText = bodyParts.join('\r\n\r\n').trim();
+    let data = {};
+    try {
+      data = bodyText ? JSON.parse(bodyText) : {};
+    } catch (_) {
+      data = { error: { message: bodyText.slice(0, 200) } };
+    }
+    results[Number(id[1])] = status < 300 ? { status, data } : { status, error: subError(status, data) };
+  }
+  return results.map(r => r || { status: 500, error: subError(500, null, 'Drive batch: no response for sub-request') });
+}
+
+// Batch executor over an authenticated google-auth-library client: (requests) => results
+function createDriveBatch(authClient) {
+  return async (requests) => {
+    if (requests.length > MAX_BATCH_SIZE) throw new Error(`Drive batch: max ${MAX_BATCH_SIZE} sub-requests, got ${requests.length}`);
+    const boundary = `batch_${crypto.randomBytes(12).toString('hex')}`;
+    const res = await authClient.request({
+      url: DRIVE_BATCH_URL,
+      method: 'POST',
+      headers: { 'Content-Type': `multipart/mixed; boundary=${boundary}` },
+      data: buildBatchBody(requests, boundary),
+      responseType: 'text'
+    });
+    const headers = res.headers || {};
+    const contentType = typeof headers.get === 'function' ? headers.get('content-type') : headers['content-type'];
+    return parseBatchResponse(res.data, contentType, requests.length);
+  };
+}
+
+module.exports = { createDriveBatch, buildBatchBody, parseBatchResponse, MAX_BATCH_SIZE };
@@ -0,0 +1,96 @@
+// Popular mail domains; a domain one or two edits away from these is treated as a typo
+const COMMON_DOMAINS = [
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.co.id', 'ymail.com', 'rocketmail.com',
+  'hotmail.com', 'outlook.com', 'outlook.co.id', 'live.com', 'msn.com', 'icloud.com', 'me.com',
+  'aol.com', 'mail.com', 'email.com', 'gmx.com', 'protonmail.com', 'proton.me', 'zoho.com', 'yandex.com'
+];
+
+// Throwaway inboxes (blocked with emailBlockDisposable)
+const DISPOSABLE_DOMAINS = [
+  'mailinator.com', 'guerrillamail.com', 'sharklasers.com', '10minutemail.com', 'tempmail.com',
+  'temp-mail.org', 'yopmail.com', 'trashmail.com', 'getnada.com', 'dispostable.com', 'maildrop.cc',
+  'throwawaymail.com', 'fakeinbox.com', 'mintemail.com', 'emailondeck.com'
+];
+
+const LOCAL_RE = /^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*$/i;
+const LABEL_RE = /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/i;
+
+// Edit distance with adjacent transpositions ("gmial" → "gmail" is 1)
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+// Domain equals an entry or is a subdomain of it
+function domainIn(domain, list) {
+  return list.some(d => domain === d || domain.endsWith(`.${d}`));
+}
+
+function cleanList(list) {
+  return (list || []).map(d => String(d).trim().toLowerCase().replace(/^@/, '').replace(/^\*\./, '')).filter(Boolean);
+}
+
+// Syntax only: local@domain with a dotted domain and a letter TLD
+function isValidSyntax(email) {
+  const at = email.lastIndexOf('@');
+  if (at <= 0 || at !== email.indexOf('@') || email.length > 254) return false;
+  const local = email.slice(0, at);
+  const domain = email.slice(at + 1);
+  if (local.length > 64 || !LOCAL_RE.test(local)) return false;
+  const labels = domain.split('.');
+  if (labels.length < 2 || !labels.every(l => LABEL_RE.test(l))) return false;
+  return /^[a-z]{2,}$/i.test(labels[labels.length - 1]);
+}
+
+// Closest common/allowed domain when domain looks like a typo of it
+function suggestDomain(domain, known) {
+  if (known.includes(domain)) return null;
+  let best = null;
+  for (const candidate of known) {
+    const limit = candidate.length >= 8 ? 2 : 1;
+    const dist = editDistance(domain, candidate);
+    if (dist > 0 && dist <= limit && (!best || dist < best.dist)) best = { domain: candidate, dist };
+  }
+  return best ? best.domain : null;
+}
+
+// Check one (trimmed, lowercase) address.
+// Returns { ok: true } or { ok: false, code: INVALID|DENIED|DISPOSABLE|NOT_ALLOWED|TYPO, reason, suggestion }
+function checkEmail(email, options = {}) {
+  const allow = cleanList(options.allow);
+  const deny = cleanList(options.deny);
+  const value = String(email || '').trim().toLowerCase();
+
+  if (!isValidSyntax(value)) {
+    return { ok: false, code: 'INVALID', reason: 'format email tidak valid', suggestion: '' };
+  }
+  const [local, domain] = value.split('@');
+  if (domainIn(domain, deny)) {
+    return { ok: false, code: 'DENIED', reason: `domain ${domain} diblokir`, suggestion: '' };
+  }
+  if (options.blockDisposable && domainIn(domain, DISPOSABLE_DOMAINS)) {
+    return { ok: false, code: 'DISPOSABLE', reason: `domain ${domain} adalah email sementara`, suggestion: '' };
+  }
+  if (!options.skipTypo) {
+    const suggested = suggestDomain(domain, [...new Set([...allow, ...COMMON_DOMAINS])]);
+    if (suggested) {
+      return { ok: false, code: 'TYPO', reason: `domain ${domain} mungkin salah ketik`, suggestion: `${local}@${suggested}` };
+    }
+  }
+  if (allow.length > 0 && !domainIn(domain, allow)) {
+    return { ok: false, code: 'NOT_ALLOWED', reason: `domain ${domain} tidak ada di daftar yang diizinkan`, suggestion: '' };
+  }
+  return { ok: true };
+}
+
+module.exports = { checkEmail, isValidSyntax, suggestDomain, editDistance, COMMON_DOMAINS, DISPOSABLE_DOMAINS };
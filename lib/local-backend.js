@@ -0,0 +1,393 @@
+// Offline stand-in for the Drive v3 / Sheets v4 clients (same call shapes as googleapis),
+// for rehearsing an event or trying a config without touching Google data:
+//   <dir>/drive/                       "My Drive": directories are folders, files are files (id "root")
+//   <dir>/sheets/<sheetId>/<name>.csv  one CSV per worksheet
+//   <dir>/permissions.json             permissions per file id
+//   <dir>/changes.json                 snapshot + change log for changes.list
+//   <dir>/mail.log                     notification emails that would have been sent
+// File ids are derived from the path, so a renamed or moved item gets a new id.
+// errorRate (0..1) makes that share of Drive calls and sheet batch writes fail with a rate-limit
+// error (429 / 403); plain sheet reads never fail, index.js does not retry them.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { CsvSource, fromCol } = require('./participant-sources');
+
+const FOLDER_MIME = 'application/vnd.google-apps.folder';
+const MAX_CHANGE_LOG = 5000;
+
+// Error shaped like a googleapis (gaxios) error
+function apiError(status, reason, message) {
+  const error = new Error(message);
+  error.code = status;
+  error.errors = [{ domain: 'usageLimits', reason, message }];
+  error.response = { status, data: { error: { code: status, message, errors: error.errors } } };
+  return error;
+}
+
+function notFound(id) {
+  const error = apiError(404, 'notFound', `File not found: ${id}.`);
+  error.errors[0].domain = 'global';
+  return error;
+}
+
+function md5(filePath) {
+  return crypto.createHash('md5').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+function readJson(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (_) {
+    return fallback;
+  }
+}
+
+function writeJson(file, data) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+// Values between quotes in a Drive query ('it\'s' → it's)
+function unquote(s) {
+  return s.replace(/\\'/g, "'");
+}
+
+class LocalBackend {
+  constructor({ dir, errorRate = 0, owner = 'local@offline.test' } = {}) {
+    this.dir = path.resolve(dir || 'local-backend');
+    this.driveDir = path.join(this.dir, 'drive');
+    this.sheetsDir = path.join(this.dir, 'sheets');
+    this.permissionsFile = path.join(this.dir, 'permissions.json');
+    this.changesFile = path.join(this.dir, 'changes.json');
+    this.mailFile = path.join(this.dir, 'mail.log');
+    this.errorRate = Math.max(0, Math.min(1, Number(errorRate) || 0));
+    this.owner = owner;
+    for (const d of [this.driveDir, this.sheetsDir]) fs.mkdirSync(d, { recursive: true });
+    this.drive = this.createDrive();
+    this.sheets = this.createSheets();
+    this.batch = this.batch.bind(this);
+  }
+
+  // Drive batch endpoint (lib/drive-batch): each sub-request runs, and may fail, on its own
+  async batch(requests) {
+    const results = [];
+    for (const { method, params } of requests) {
+      const [resource, name] = method.split('.');
+      try {
+        const res = await this.drive[resource][name](params);
+        results.push({ status: 200, data: res.data });
+      } catch (error) {
+        results.push({ status: error.code || 500, error });
+      }
+    }
+    return results;
+  }
+
+  // Random rate-limit failure (before the call has any effect)
+  maybeFail(op) {
+    if (this.errorRate <= 0 || Math.random() >= this.errorRate) return;
+    if (op === 'permissions.create' && Math.random() < 0.5) {
+      throw apiError(403, 'sharingRateLimitExceeded', 'Rate limit exceeded. User message: "Sorry, you have exceeded your sharing quota."');
+    }
+    if (Math.random() < 0.5) throw apiError(403, 'userRateLimitExceeded', 'User Rate Limit Exceeded.');
+    throw apiError(429, 'rateLimitExceeded', 'Rate Limit Exceeded');
+  }
+
+  idFor(rel) {
+    return rel ? 'loc_' + crypto.createHash('sha1').update(rel).digest('hex').slice(0, 20) : 'root';
+  }
+
+  // All items under drive/ (walked on every call, the tree is small)
+  scan() {
+    const items = new Map();
+    items.set('root', { id: 'root', rel: '', name: 'My Drive', mimeType: FOLDER_MIME, parents: [] });
+    const walk = (rel, parentId) => {
+      for (const entry of fs.readdirSync(path.join(this.driveDir, rel), { withFileTypes: true })) {
+        if (entry.name.startsWith('.')) continue;
+        const childRel = rel ? `${rel}/${entry.name}` : entry.name;
+        const id = this.idFor(childRel);
+        const folder = entry.isDirectory();
+        items.set(id, { id, rel: childRel, name: entry.name, mimeType: folder ? FOLDER_MIME : this.mimeFor(entry.name), parents: [parentId] });
+        if (folder) walk(childRel, id);
+      }
+    };
+    walk('', 'root');
+    return items;
+  }
+
+  mimeFor(name) {
+    const types = { '.pdf': 'application/pdf', '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.zip': 'application/zip' };
+    return types[path.extname(name).toLowerCase()] || 'application/octet-stream';
+  }
+
+  getItem(fileId) {
+    const item = this.scan().get(fileId);
+    if (!item) throw notFound(fileId);
+    return item;
+  }
+
+  absPath(item) {
+    return path.join(this.driveDir, item.rel);
+  }
+
+  describeItem(item) {
+    const st = fs.statSync(this.absPath(item));
+    const data = { kind: 'drive#file', id: item.id, name: item.name, mimeType: item.mimeType, parents: item.parents, trashed: false, modifiedTime: st.mtime.toISOString(), version: String(Math.floor(st.mtimeMs)) };
+    if (item.mimeType !== FOLDER_MIME) data.md5Checksum = md5(this.absPath(item));
+    return data;
+  }
+
+  // Drive query subset used by index.js: "'<id>' in parents", "mimeType='…'", "mimeType!='…'",
+  // "name contains '…'", "name='…'", "trashed=false", joined with "and"
+  matchQuery(q, item) {
+    if (item.id === 'root') return false;
+    for (const clause of String(q || '').split(/\s+and\s+/i)) {
+      let m;
+      const c = clause.trim();
+      if ((m = /^'((?:[^'\\]|\\.)*)' in parents$/.exec(c))) {
+        if (!item.parents.includes(unquote(m[1]))) return false;
+      } else if ((m = /^mimeType\s*(!?=)\s*'([^']*)'$/.exec(c))) {
+        if ((item.mimeType === m[2]) !== (m[1] === '=')) return false;
+      } else if ((m = /^name contains '((?:[^'\\]|\\.)*)'$/.exec(c))) {
+        if (!item.name.toLowerCase().includes(unquote(m[1]).toLowerCase())) return false;
+      } else if ((m = /^name\s*=\s*'((?:[^'\\]|\\.)*)'$/.exec(c))) {
+        if (item.name !== unquote(m[1])) return false;
+      } else if (/^trashed\s*=\s*false$/.test(c) || !c) {
+        continue;
+      } else {
+        throw apiError(400, 'invalid', `Unsupported query in local backend: ${c}`);
+      }
+    }
+    return true;
+  }
+
+  loadPermissions() {
+    const all = readJson(this.permissionsFile, {});
+    // Drive drops permissions whose expirationTime has passed
+    const now = Date.now();
+    let changed = false;
+    for (const id of Object.keys(all)) {
+      const kept = all[id].filter(p => !p.expirationTime || Date.parse(p.expirationTime) > now);
+      if (kept.length !== all[id].length) { all[id] = kept; changed = true; }
+    }
+    if (changed) writeJson(this.permissionsFile, all);
+    return all;
+  }
+
+  ownerPermission() {
+    return { kind: 'drive#permission', id: 'owner', type: 'user', role: 'owner', emailAddress: this.owner };
+  }
+
+  async writeMedia(filePath, media) {
+    const chunks = [];
+    for await (const chunk of media.body) chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+    fs.writeFileSync(filePath, Buffer.concat(chunks));
+  }
+
+  // Compare the tree with the last snapshot and append the differences to the change log
+  syncChanges() {
+    const state = readJson(this.changesFile, { next: 1, snapshot: null, log: [] });
+    const current = {};
+    for (const item of this.scan().values()) {
+      if (item.id !== 'root') current[item.id] = { name: item.name, mimeType: item.mimeType, parents: item.parents };
+    }
+    if (state.snapshot) {
+      for (const [id, file] of Object.entries(current)) {
+        const before = state.snapshot[id];
+        if (!before || before.name !== file.name || before.parents[0] !== file.parents[0]) {
+          state.log.push({ n: state.next++, fileId: id, removed: false, file: { id, ...file, trashed: false } });
+        }
+      }
+      for (const id of Object.keys(state.snapshot)) {
+        if (!current[id]) state.log.push({ n: state.next++, fileId: id, removed: true });
+      }
+      if (state.log.length > MAX_CHANGE_LOG) state.log = state.log.slice(-MAX_CHANGE_LOG);
+    }
+    state.snapshot = current;
+    writeJson(this.changesFile, state);
+    return state;
+  }
+
+  createDrive() {
+    const self = this;
+    return {
+      files: {
+        async list({ q, pageSize = 100, pageToken } = {}) {
+          self.maybeFail('files.list');
+          const matches = [...self.scan().values()].filter(item => self.matchQuery(q, item));
+          const start = Number(pageToken) || 0;
+          const files = matches.slice(start, start + pageSize).map(item => self.describeItem(item));
+          const nextPageToken = start + pageSize < matches.length ? String(start + pageSize) : undefined;
+          return { data: { files, nextPageToken } };
+        },
+        async get({ fileId }) {
+          self.maybeFail('files.get');
+          const sheetDir = path.join(self.sheetsDir, String(fileId));
+          if (fileId && fs.existsSync(sheetDir)) {
+            // A spreadsheet: version/modifiedTime follow its CSV files
+            const mtime = Math.max(0, ...fs.readdirSync(sheetDir).map(f => fs.statSync(path.join(sheetDir, f)).mtimeMs));
+            return { data: { id: fileId, name: fileId, mimeType: 'application/vnd.google-apps.spreadsheet', trashed: false, version: String(Math.floor(mtime)), modifiedTime: new Date(mtime).toISOString() } };
+          }
+          return { data: self.describeItem(self.getItem(fileId)) };
+        },
+        async create({ resource = {}, media } = {}) {
+          self.maybeFail('files.create');
+          const parent = self.getItem((resource.parents || ['root'])[0]);
+          if (parent.mimeType !== FOLDER_MIME) throw apiError(400, 'invalidParent', 'Parent is not a folder.');
+          const rel = parent.rel ? `${parent.rel}/${resource.name}` : resource.name;
+          const target = path.join(self.driveDir, rel);
+          if (resource.mimeType === FOLDER_MIME) fs.mkdirSync(target, { recursive: true });
+          else if (media) await self.writeMedia(target, media);
+          else fs.writeFileSync(target, '');
+          return { data: self.describeItem(self.getItem(self.idFor(rel))) };
+        },
+        async update({ fileId, media } = {}) {
+          self.maybeFail('files.update');
+          const item = self.getItem(fileId);
+          if (media) await self.writeMedia(self.absPath(item), media);
+          return { data: self.describeItem(item) };
+        }
+      },
+      permissions: {
+        async list({ fileId, pageSize = 100, pageToken } = {}) {
+          self.maybeFail('permissions.list');
+          self.getItem(fileId);
+          const all = [self.ownerPermission(), ...(self.loadPermissions()[fileId] || [])];
+          const start = Number(pageToken) || 0;
+          const nextPageToken = start + pageSize < all.length ? String(start + pageSize) : undefined;
+          return { data: { permissions: all.slice(start, start + pageSize), nextPageToken } };
+        },
+        async create({ fileId, resource = {}, sendNotificationEmail, emailMessage } = {}) {
+          self.maybeFail('permissions.create');
+          const item = self.getItem(fileId);
+          const all = self.loadPermissions();
+          const list = all[fileId] || (all[fileId] = []);
+          const email = String(resource.emailAddress || '').toLowerCase();
+          let permission = list.find(p => p.type === resource.type && (p.emailAddress || '').toLowerCase() === email);
+          if (permission) {
+            Object.assign(permission, resource);
+          } else {
+            permission = { kind: 'drive#permission', id: crypto.randomBytes(8).toString('hex'), ...resource };
+            list.push(permission);
+          }
+          writeJson(self.permissionsFile, all);
+          if (sendNotificationEmail) {
+            fs.appendFileSync(self.mailFile, `[${new Date().toISOString()}] to=${email} file=${item.rel} role=${resource.role}\n${emailMessage || '(pesan default Drive)'}\n\n`);
+          }
+          return { data: permission };
+        },
+        async update({ fileId, permissionId, resource = {}, removeExpiration } = {}) {
+          self.maybeFail('permissions.update');
+          self.getItem(fileId);
+          const all = self.loadPermissions();
+          const permission = (all[fileId] || []).find(p => p.id === permissionId);
+          if (!permission) throw apiError(404, 'notFound', `Permission not found: ${permissionId}.`);
+          Object.assign(permission, resource);
+          if (removeExpiration) delete permission.expirationTime;
+          writeJson(self.permissionsFile, all);
+          return { data: permission };
+        },
+        async delete({ fileId, permissionId } = {}) {
+          self.maybeFail('permissions.delete');
+          self.getItem(fileId);
+          const all = self.loadPermissions();
+          const list = all[fileId] || [];
+          if (!list.some(p => p.id === permissionId)) throw apiError(404, 'notFound', `Permission not found: ${permissionId}.`);
+          all[fileId] = list.filter(p => p.id !== permissionId);
+          writeJson(self.permissionsFile, all);
+          return { data: {} };
+        }
+      },
+      changes: {
+        async getStartPageToken() {
+          self.maybeFail('changes.getStartPageToken');
+          return { data: { startPageToken: String(self.syncChanges().next) } };
+        },
+        async list({ pageToken, pageSize = 1000 } = {}) {
+          self.maybeFail('changes.list');
+          const state = self.syncChanges();
+          const from = Number(pageToken) || 0;
+          const pending = state.log.filter(c => c.n >= from);
+          const page = pending.slice(0, pageSize);
+          const data = { changes: page.map(({ n, ...change }) => change) };
+          if (pending.length > pageSize) data.nextPageToken = String(page[page.length - 1].n + 1);
+          else data.newStartPageToken = String(state.next);
+          return { data };
+        }
+      }
+    };
+  }
+
+  // "Sheet!A1:C3", "'My sheet'!1:1", "Sheet!A:ZZ" → { file, startRow, endRow, startCol, endCol } (0-based, inclusive)
+  parseRange(spreadsheetId, range) {
+    const m = /^(?:'((?:[^']|'')+)'|([^!]+))!?([A-Z]*)(\d*)(?::([A-Z]*)(\d*))?$/i.exec(String(range));
+    if (!m) throw apiError(400, 'badRequest', `Unable to parse range: ${range}`);
+    const sheetName = m[1] ? m[1].replace(/''/g, "'") : m[2];
+    const file = path.join(this.sheetsDir, String(spreadsheetId), `${sheetName}.csv`);
+    if (!fs.existsSync(file)) throw apiError(400, 'badRequest', `Unable to parse range: ${range} (${path.relative(this.dir, file)} tidak ada)`);
+    const [, , , c1, r1, c2, r2] = m;
+    const single = m[5] === undefined && m[6] === undefined;
+    return {
+      source: new CsvSource(file),
+      startRow: r1 ? Number(r1) - 1 : 0,
+      endRow: single && r1 ? Number(r1) - 1 : (r2 ? Number(r2) - 1 : Infinity),
+      startCol: c1 ? fromCol(c1) : 0,
+      endCol: single && c1 ? fromCol(c1) : (c2 ? fromCol(c2) : Infinity)
+    };
+  }
+
+  // Write a block of values starting at the top-left cell of range. With a cache (Map) the
+  // CSV files are only loaded once; the caller saves them (batchUpdate)
+  writeValues(spreadsheetId, range, values, cache = null) {
+    const r = this.parseRange(spreadsheetId, range);
+    const file = r.source.filePath;
+    const open = (cache && cache.get(file)) || { source: r.source, rows: r.source.load() };
+    if (cache) cache.set(file, open);
+    const rows = open.rows;
+    (values || []).forEach((line, i) => {
+      while (rows.length <= r.startRow + i) rows.push([]);
+      line.forEach((value, j) => { rows[r.startRow + i][r.startCol + j] = value === null || value === undefined ? '' : String(value); });
+    });
+    if (!cache) open.source.save(rows);
+    return { updatedRange: range, updatedCells: (values || []).reduce((n, line) => n + line.length, 0) };
+  }
+
+  createSheets() {
+    const self = this;
+    return {
+      spreadsheets: {
+        values: {
+          async get({ spreadsheetId, range } = {}) {
+            const r = self.parseRange(spreadsheetId, range);
+            const values = r.source.load()
+              .slice(r.startRow, r.endRow === Infinity ? undefined : r.endRow + 1)
+              .map(row => row.slice(r.startCol, r.endCol === Infinity ? undefined : r.endCol + 1));
+            // Sheets API leaves out trailing empty cells and rows
+            const trimmed = values.map(row => {
+              let n = row.length;
+              while (n > 0 && (row[n - 1] === '' || row[n - 1] === undefined)) n--;
+              return row.slice(0, n);
+            });
+            while (trimmed.length && trimmed[trimmed.length - 1].length === 0) trimmed.pop();
+            return { data: { range, values: trimmed.length ? trimmed : undefined } };
+          },
+          async update({ spreadsheetId, range, resource = {} } = {}) {
+            return { data: self.writeValues(spreadsheetId, range, resource.values) };
+          },
+          async batchUpdate({ spreadsheetId, resource = {} } = {}) {
+            self.maybeFail('sheets.values.batchUpdate');
+            const cache = new Map();
+            let totalUpdatedCells = 0;
+            for (const d of resource.data || []) totalUpdatedCells += self.writeValues(spreadsheetId, d.range, d.values, cache).updatedCells;
+            for (const { source, rows } of cache.values()) source.save(rows);
+            return { data: { totalUpdatedCells } };
+          }
+        }
+      }
+    };
+  }
+}
+
+module.exports = { LocalBackend, apiError };
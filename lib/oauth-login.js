@@ -0,0 +1,102 @@
+// OAuth login for an installed app (Desktop client id from Google Cloud Console):
+// the browser redirects back to a one-shot server on 127.0.0.1 (PKCE, no client secret on the wire),
+// the tokens are cached per profile and refreshed by google-auth-library.
+const http = require('http');
+const fs = require('fs');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+
+const LOGIN_TIMEOUT_MS = 300000;
+
+// { clientId, clientSecret } from the client JSON downloaded from the console
+function loadClientSecrets(file) {
+  if (!fs.existsSync(file)) throw new Error(`File OAuth client tidak ditemukan: ${file}`);
+  const json = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const client = json.installed || json.web;
+  if (!client || !client.client_id) throw new Error(`${file} bukan OAuth client JSON (butuh tipe "Desktop app")`);
+  return { clientId: client.client_id, clientSecret: client.client_secret };
+}
+
+function readToken(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (_) {
+    return null;
+  }
+}
+
+// Refresh responses usually carry no refresh_token: keep the cached one
+function saveToken(file, tokens) {
+  const merged = { ...(readToken(file) || {}), ...tokens };
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(merged, null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, file);
+  return merged;
+}
+
+// Best effort; the URL is printed anyway
+function openBrowser(url) {
+  const cmd = process.platform === 'darwin' ? 'open' : process.platform === 'win32' ? 'cmd' : 'xdg-open';
+  const args = process.platform === 'win32' ? ['/c', 'start', '""', url.replace(/&/g, '^&')] : [url];
+  try {
+    const child = spawn(cmd, args, { stdio: 'ignore', detached: true });
+    child.on('error', () => {});
+    child.unref();
+  } catch (_) {}
+}
+
+// Run the consent flow; resolves with the token set. onUrl(url) is called once the server listens
+async function loginWithBrowser(client, { scopes, onUrl, timeoutMs = LOGIN_TIMEOUT_MS }) {
+  const { codeVerifier, codeChallenge } = await client.generateCodeVerifierAsync();
+  const state = crypto.randomBytes(16).toString('hex');
+  let redirectUri = '';
+
+  const code = await new Promise((resolve, reject) => {
+    const finish = (error, value, res, message) => {
+      if (res) {
+        res.writeHead(error ? 400 : 200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(`<p>${message}</p>`);
+      }
+      clearTimeout(timer);
+      server.close();
+      error ? reject(error) : resolve(value);
+    };
+    const server = http.createServer((req, res) => {
+      let url;
+      try {
+        url = new URL(req.url, redirectUri);
+      } catch (_) {
+        res.writeHead(400);
+        return res.end();
+      }
+      if (url.pathname !== '/') {
+        res.writeHead(404);
+        return res.end();
+      }
+      if (url.searchParams.get('state') !== state) return finish(new Error('state OAuth tidak cocok'), null, res, 'Login gagal: state tidak cocok.');
+      if (url.searchParams.get('error')) return finish(new Error(`login ditolak: ${url.searchParams.get('error')}`), null, res, 'Login dibatalkan. Tutup tab ini.');
+      return finish(null, url.searchParams.get('code'), res, 'Login berhasil. Tutup tab ini dan kembali ke terminal.');
+    });
+    const timer = setTimeout(() => finish(new Error('login tidak diselesaikan dalam 5 menit')), timeoutMs);
+    server.once('error', (e) => finish(e));
+    server.listen(0, '127.0.0.1', () => {
+      redirectUri = `http://127.0.0.1:${server.address().port}`;
+      const url = client.generateAuthUrl({
+        access_type: 'offline',
+        prompt: 'consent',
+        scope: scopes,
+        redirect_uri: redirectUri,
+        state,
+        code_challenge_method: 'S256',
+        code_challenge: codeChallenge
+      });
+      onUrl(url);
+      openBrowser(url);
+    });
+  });
+
+  const { tokens } = await client.getToken({ code, codeVerifier, redirect_uri: redirectUri });
+  return tokens;
+}
+
+module.exports = { loadClientSecrets, readToken, saveToken, loginWithBrowser };
@@ -0,0 +1,265 @@
+const fs = require('fs');
+const path = require('path');
+
+// Helper: index -> A1 column letter
+function toCol(index) {
+  let s = '';
+  let n = index + 1;
+  while (n > 0) {
+    const rem = (n - 1) % 26;
+    s = String.fromCharCode(65 + rem) + s;
+    n = Math.floor((n - 1) / 26);
+  }
+  return s;
+}
+
+// Helper: A1 column letter -> index
+function fromCol(letter) {
+  let n = 0;
+  for (const ch of String(letter).toUpperCase()) {
+    n = n * 26 + (ch.charCodeAt(0) - 64);
+  }
+  return n - 1;
+}
+
+// Participant list stored in Google Sheets
+class SheetsSource {
+  constructor(sheets, sheetId, sheetName) {
+    this.type = 'sheets';
+    this.sheets = sheets;
+    this.sheetId = sheetId;
+    this.sheetName = sheetName;
+  }
+
+  get key() {
+    return `${this.sheetId}|${this.sheetName}`;
+  }
+
+  describe() {
+    return `${this.sheetId} / ${this.sheetName}`;
+  }
+
+  async readHeaders() {
+    const res = await this.sheets.spreadsheets.values.get({
+      spreadsheetId: this.sheetId,
+      range: `${this.sheetName}!1:1`
+    });
+    return (res.data.values && res.data.values[0]) || [];
+  }
+
+  async writeHeaders(startIndex, names) {
+    await this.sheets.spreadsheets.values.update({
+      spreadsheetId: this.sheetId,
+      range: `${this.sheetName}!${toCol(startIndex)}1`,
+      valueInputOption: 'RAW',
+      resource: { values: [names] }
+    });
+  }
+
+  async readRows() {
+    const res = await this.sheets.spreadsheets.values.get({
+      spreadsheetId: this.sheetId,
+      range: `${this.sheetName}!A:ZZ`
+    });
+    return res.data.values || [];
+  }
+
+  async updateCell(row, col, value) {
+    await this.batchUpdate([{ row, col, value }]);
+  }
+
+  // Write many cells in one values.batchUpdate call per 500 ranges
+  async batchUpdate(updates) {
+    for (let i = 0; i < updates.length; i += 500) {
+      const chunk = updates.slice(i, i + 500);
+      await this.sheets.spreadsheets.values.batchUpdate({
+        spreadsheetId: this.sheetId,
+        resource: {
+          valueInputOption: 'RAW',
+          data: chunk.map(u => ({ range: `${this.sheetName}!${u.col}${u.row}`, values: [[u.value]] }))
+        }
+      });
+    }
+  }
+}
+
+// Base for local files: whole grid in memory, re-read before every write
+// so edits made in the file meanwhile are kept.
+class LocalFileSource {
+  constructor(filePath, sheetName) {
+    this.filePath = path.resolve(filePath);
+    this.sheetName = sheetName || '';
+  }
+
+  get key() {
+    return `file:${this.filePath}|${this.sheetName}`;
+  }
+
+  describe() {
+    return this.sheetName ? `${this.filePath} / ${this.sheetName}` : this.filePath;
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      throw new Error(`File tidak ditemukan: ${this.filePath}`);
+    }
+    return this.parse();
+  }
+
+  // Change marker for incremental polling
+  async version() {
+    const st = fs.statSync(this.filePath);
+    return `${st.mtimeMs}|${st.size}`;
+  }
+
+  async readHeaders() {
+    const rows = this.load();
+    return (rows[0] || []).slice();
+  }
+
+  async writeHeaders(startIndex, names) {
+    const rows = this.load();
+    if (!rows[0]) rows[0] = [];
+    names.forEach((name, i) => { rows[0][startIndex + i] = name; });
+    this.save(rows, names.map((name, i) => ({ row: 0, col: startIndex + i, value: name })));
+  }
+
+  async readRows() {
+    return this.load().map(r => r.slice());
+  }
+
+  async updateCell(row, col, value) {
+    await this.batchUpdate([{ row, col, value }]);
+  }
+
+  // save(rows, cells) gets the whole grid and the changed cells ({ row, col } 0-based)
+  async batchUpdate(updates) {
+    const rows = this.load();
+    const cells = [];
+    for (const u of updates) {
+      while (rows.length < u.row) rows.push([]);
+      rows[u.row - 1][fromCol(u.col)] = u.value;
+      cells.push({ row: u.row - 1, col: fromCol(u.col), value: u.value });
+    }
+    this.save(rows, cells);
+  }
+}
+
+// Participant list stored in a local CSV (comma or semicolon separated)
+class CsvSource extends LocalFileSource {
+  constructor(filePath) {
+    super(filePath);
+    this.type = 'csv';
+    this.delimiter = ',';
+    this.bom = false;
+  }
+
+  parse() {
+    let text = fs.readFileSync(this.filePath, 'utf8');
+    this.bom = text.charCodeAt(0) === 0xfeff;
+    if (this.bom) text = text.slice(1);
+    // Excel (locale id-ID) exports with ';'
+    const firstLine = text.split(/\r?\n/, 1)[0] || '';
+    this.delimiter = (firstLine.split(';').length > firstLine.split(',').length) ? ';' : ',';
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+      const c = text[i];
+      if (quoted) {
+        if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+        else if (c === '"') quoted = false;
+        else field += c;
+      } else if (c === '"') {
+        quoted = true;
+      } else if (c === this.delimiter) {
+        row.push(field); field = '';
+      } else if (c === '\n' || c === '\r') {
+        if (c === '\r' && text[i + 1] === '\n') i++;
+        row.push(field); field = '';
+        rows.push(row); row = [];
+      } else {
+        field += c;
+      }
+    }
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  save(rows) {
+    const width = rows.reduce((m, r) => Math.max(m, r.length), 0);
+    const escape = (v) => {
+      const s = v === undefined || v === null ? '' : String(v);
+      return /["\r\n]/.test(s) || s.includes(this.delimiter) ? `"${s.replace(/"/g, '""')}"` : s;
+    };
+    const lines = rows.map(r => {
+      const cells = [];
+      for (let i = 0; i < width; i++) cells.push(escape(r[i]));
+      return cells.join(this.delimiter);
+    });
+    const tmp = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, (this.bom ? '\ufeff' : '') + lines.join('\r\n') + '\r\n');
+    fs.renameSync(tmp, this.filePath);
+  }
+}
+
+// Participant list stored in a local XLSX workbook (other worksheets are kept)
+class XlsxSource extends LocalFileSource {
+  constructor(filePath, sheetName) {
+    super(filePath, sheetName);
+    this.type = 'xlsx';
+    this.XLSX = require('xlsx');
+    this.workbook = null;
+  }
+
+  // Raw cell values: numbers keep all digits (NIM, phone), dates become YYYY-MM-DD[ HH:mm]
+  parse() {
+    this.workbook = this.XLSX.readFile(this.filePath, { cellDates: true, cellStyles: true });
+    if (!this.sheetName) this.sheetName = this.workbook.SheetNames[0];
+    const ws = this.workbook.Sheets[this.sheetName];
+    if (!ws) {
+      throw new Error(`Worksheet "${this.sheetName}" tidak ada di ${path.basename(this.filePath)} (ada: ${this.workbook.SheetNames.join(', ')})`);
+    }
+    return this.XLSX.utils.sheet_to_json(ws, { header: 1, raw: true, defval: '' })
+      .map(r => r.map(v => this.cellText(v)));
+  }
+
+  cellText(v) {
+    if (v === undefined || v === null) return '';
+    if (!(v instanceof Date)) return String(v);
+    if (isNaN(v)) return '';
+    const pad = (n) => String(n).padStart(2, '0');
+    const date = `${v.getFullYear()}-${pad(v.getMonth() + 1)}-${pad(v.getDate())}`;
+    return v.getHours() || v.getMinutes() ? `${date} ${pad(v.getHours())}:${pad(v.getMinutes())}` : date;
+  }
+
+  // Only the changed cells are written into the existing worksheet (values, formulas
+  // and formats of the other cells stay as they are)
+  save(rows, cells) {
+    const ws = this.workbook.Sheets[this.sheetName];
+    for (const { row, col, value } of cells) {
+      this.XLSX.utils.sheet_add_aoa(ws, [[value === undefined || value === null ? '' : value]], { origin: { r: row, c: col } });
+    }
+    const tmp = `${this.filePath}.${process.pid}.tmp`;
+    this.XLSX.writeFile(this.workbook, tmp, { bookType: 'xlsx' });
+    fs.renameSync(tmp, this.filePath);
+  }
+}
+
+// Pick a source from config: local file by extension, else Google Sheets
+function createSource({ file, sheets, sheetId, sheetName }) {
+  if (file) {
+    const ext = path.extname(file).toLowerCase();
+    if (ext === '.csv') return new CsvSource(file);
+    if (ext === '.xlsx') return new XlsxSource(file, sheetName);
+    throw new Error(`Format file tidak didukung: ${ext || file} (gunakan .csv atau .xlsx)`);
+  }
+  return new SheetsSource(sheets, sheetId, sheetName);
+}
+
+module.exports = { SheetsSource, CsvSource, XlsxSource, createSource, toCol, fromCol };
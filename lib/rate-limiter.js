@@ -0,0 +1,153 @@
+// Token buckets shared by all monitor workers.
+// The monitor owns the buckets (RateLimiterServer); workers ask for a token over
+// the child-process IPC channel (RateLimiterClient) before every API call.
+
+// Requests per second per bucket (all workers together)
+const DEFAULT_RATES = {
+  drive: 5,    // Drive reads: files.list/get, permissions.list, changes
+  share: 0.4,  // Drive writes: permissions create/update/delete, files create/update
+  sheets: 1    // Sheets API: values.get and batchUpdate
+};
+
+class TokenBucket {
+  constructor(ratePerSec) {
+    this.rate = Math.max(0.01, Number(ratePerSec) || 1);
+    this.capacity = Math.max(1, this.rate);
+    this.tokens = this.capacity;
+    this.updatedAt = Date.now();
+    this.pausedUntil = 0;
+  }
+
+  refill(now) {
+    this.tokens = Math.min(this.capacity, this.tokens + ((now - this.updatedAt) / 1000) * this.rate);
+    this.updatedAt = now;
+  }
+
+  // ms until a token can be taken (0 = now)
+  waitMs(now = Date.now()) {
+    this.refill(now);
+    const paused = Math.max(0, this.pausedUntil - now);
+    const refill = this.tokens >= 1 ? 0 : Math.ceil(((1 - this.tokens) / this.rate) * 1000);
+    return Math.max(paused, refill);
+  }
+
+  take() {
+    this.tokens -= 1;
+  }
+
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+  }
+}
+
+function createBuckets(rates = {}) {
+  const merged = { ...DEFAULT_RATES, ...rates };
+  return Object.fromEntries(Object.entries(merged).map(([name, rate]) => [name, new TokenBucket(rate)]));
+}
+
+// Monitor side: serve tokens to attached workers in FIFO order per bucket
+class RateLimiterServer {
+  constructor(rates = {}, { onBackoff } = {}) {
+    this.buckets = createBuckets(rates);
+    this.queues = Object.fromEntries(Object.keys(this.buckets).map(name => [name, []]));
+    this.timers = {};
+    this.onBackoff = onBackoff || (() => {});
+  }
+
+  // Listen to a worker's IPC messages
+  attach(child) {
+    child.on('message', (msg) => {
+      if (!msg || typeof msg !== 'object') return;
+      if (msg.type === 'rl:acquire') this.enqueue(child, msg);
+      if (msg.type === 'rl:backoff') this.backoff(msg.bucket, msg.ms, child);
+    });
+  }
+
+  bucketName(name) {
+    return this.buckets[name] ? name : 'drive';
+  }
+
+  // count > 1: one grant for several tokens (Drive batch requests, one per sub-request)
+  enqueue(child, msg) {
+    this.queues[this.bucketName(msg.bucket)].push({ child, id: msg.id, left: Math.max(1, Math.floor(Number(msg.count) || 1)) });
+    this.drain(this.bucketName(msg.bucket));
+  }
+
+  // Rate limit hit by any worker: pause this bucket for everyone
+  backoff(name, ms, child) {
+    const bucketName = this.bucketName(name);
+    const wait = Math.max(1000, Math.min(Number(ms) || 0, 300000));
+    this.buckets[bucketName].pause(wait);
+    this.onBackoff(bucketName, wait, child);
+  }
+
+  drain(name) {
+    if (this.timers[name]) return;
+    const bucket = this.buckets[name];
+    const queue = this.queues[name];
+    while (queue.length) {
+      const wait = bucket.waitMs();
+      if (wait > 0) {
+        this.timers[name] = setTimeout(() => {
+          this.timers[name] = null;
+          this.drain(name);
+        }, wait);
+        return;
+      }
+      const next = queue[0];
+      if (!next.child.connected) {
+        queue.shift();
+        continue;
+      }
+      bucket.take();
+      if (--next.left > 0) continue;
+      queue.shift();
+      try { next.child.send({ type: 'rl:grant', id: next.id }); } catch (_) {}
+    }
+  }
+
+  stop() {
+    for (const t of Object.values(this.timers)) if (t) clearTimeout(t);
+  }
+}
+
+// Worker side: one pending promise per acquire, resolved by the monitor's grant
+class RateLimiterClient {
+  constructor(proc = process) {
+    this.proc = proc;
+    this.seq = 0;
+    this.pending = new Map();
+    proc.on('message', (msg) => {
+      if (msg && msg.type === 'rl:grant' && this.pending.has(msg.id)) {
+        const resolve = this.pending.get(msg.id);
+        this.pending.delete(msg.id);
+        resolve();
+      }
+    });
+  }
+
+  // Worker started by the monitor with an IPC channel
+  static available(proc = process) {
+    return typeof proc.send === 'function' && proc.connected && process.env.SHARED_RATE_LIMIT === 'true';
+  }
+
+  acquire(bucket, count = 1) {
+    if (!this.proc.connected) return Promise.resolve();
+    const id = ++this.seq;
+    return new Promise((resolve) => {
+      this.pending.set(id, resolve);
+      try {
+        this.proc.send({ type: 'rl:acquire', id, bucket, count });
+      } catch (_) {
+        this.pending.delete(id);
+        resolve();
+      }
+    });
+  }
+
+  backoff(bucket, ms) {
+    try { if (this.proc.connected) this.proc.send({ type: 'rl:backoff', bucket, ms }); } catch (_) {}
+  }
+}
+
+module.exports = { TokenBucket, RateLimiterServer, RateLimiterClient, DEFAULT_RATES };
@@ -0,0 +1,82 @@
+const fs = require('fs');
+const path = require('path');
+
+const COLUMNS = ['row', 'nama', 'email', 'folderId', 'outcome', 'status', 'detail', 'httpStatus', 'reasons'];
+
+function csvCell(value) {
+  const s = value === undefined || value === null ? '' : (Array.isArray(value) ? value.join(',') : String(value));
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function html(value) {
+  const s = value === undefined || value === null ? '' : (Array.isArray(value) ? value.join(', ') : String(value));
+  return s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// One line per processed row (BOM so Excel reads UTF-8 names correctly)
+function toCsv(stats) {
+  const lines = [COLUMNS.join(',')];
+  for (const r of stats.rows) lines.push(COLUMNS.map(c => csvCell(r[c])).join(','));
+  return '\ufeff' + lines.join('\r\n') + '\r\n';
+}
+
+// Single HTML page without external assets (can be mailed or opened offline)
+function toHtml(stats, meta) {
+  const totals = [
+    ['Total', stats.total],
+    ['Berhasil', stats.done],
+    ['Dilewati', stats.skipped],
+    ['Dicabut', stats.revoked],
+    ['Error', stats.errors]
+  ];
+  const rows = stats.rows.map(r => `<tr class="${html(r.outcome)}">${COLUMNS.map(c => `<td>${html(r[c])}</td>`).join('')}</tr>`).join('\n');
+  return `<!DOCTYPE html>
+<html lang="id">
+<head>
+<meta charset="utf-8">
+<title>Laporan run ${html(meta.startedAt)}</title>
+<style>
+  body { font-family: -apple-system, Segoe UI, Roboto, sans-serif; margin: 24px; color: #222; }
+  h1 { font-size: 20px; }
+  .meta { color: #666; font-size: 13px; }
+  .totals { display: flex; gap: 12px; margin: 16px 0; }
+  .totals div { border: 1px solid #ddd; border-radius: 6px; padding: 8px 16px; }
+  .totals b { display: block; font-size: 22px; }
+  table { border-collapse: collapse; width: 100%; font-size: 13px; }
+  th, td { border: 1px solid #ddd; padding: 4px 6px; text-align: left; vertical-align: top; }
+  th { background: #f4f4f4; position: sticky; top: 0; }
+  tr.done td { background: #eefaf0; }
+  tr.errors td { background: #fdecec; }
+  tr.revoked td { background: #f3eefa; }
+</style>
+</head>
+<body>
+<h1>Certificate Sharing — laporan run</h1>
+<p class="meta">${html(meta.startedAt)} → ${html(meta.finishedAt)} · profil ${html(meta.profile)} · ${html(meta.source)} · ${meta.dryRun ? 'simulasi' : 'production'}${meta.shard ? ` · shard ${html(meta.shard)}` : ''}</p>
+<div class="totals">${totals.map(([label, n]) => `<div>${html(label)}<b>${html(n)}</b></div>`).join('')}</div>
+<table>
+<thead><tr>${COLUMNS.map(c => `<th>${html(c)}</th>`).join('')}</tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+</body>
+</html>
+`;
+}
+
+// Write run-<stamp>.csv and .html into dir; returns both paths
+function writeRunReport(dir, stats, meta) {
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  const ts = new Date(meta.startedAt);
+  const pad = n => String(n).padStart(2, '0');
+  const stamp = `${ts.getFullYear()}${pad(ts.getMonth() + 1)}${pad(ts.getDate())}-${pad(ts.getHours())}${pad(ts.getMinutes())}${pad(ts.getSeconds())}`;
+  const base = path.join(dir, `run-${stamp}${meta.shard ? `-s${meta.shard.split('/')[0]}` : ''}`);
+  const csvPath = `${base}.csv`;
+  const htmlPath = `${base}.html`;
+  fs.writeFileSync(csvPath, toCsv(stats));
+  fs.writeFileSync(htmlPath, toHtml(stats, meta));
+  return { csvPath, htmlPath };
+}
+
+module.exports = { writeRunReport, toCsv, toHtml };
@@ -0,0 +1,157 @@
+// Read-only HTTP endpoints for an unattended monitor:
+//   /health   200 while at least one worker is alive, 503 otherwise
+//   /status   JSON snapshot of all workers (lib/supervisor.js)
+//   /metrics  Prometheus text format
+//   /         small HTML dashboard that polls /status
+const http = require('http');
+const { LATENCY_BUCKETS } = require('./supervisor');
+
+const PREFIX = 'certificate_sharing';
+
+function labelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function labels(obj) {
+  const parts = Object.entries(obj).map(([k, v]) => `${k}="${labelValue(v)}"`);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function toMetrics(snap, api) {
+  const out = [];
+  const metric = (name, type, help, samples) => {
+    out.push(`# HELP ${PREFIX}_${name} ${help}`, `# TYPE ${PREFIX}_${name} ${type}`);
+    for (const [suffix, lbl, value] of samples) out.push(`${PREFIX}_${name}${suffix}${labels(lbl)} ${value}`);
+  };
+
+  metric('up', 'gauge', 'Monitor is running.', [['', {}, 1]]);
+  metric('uptime_seconds', 'gauge', 'Seconds since the monitor started.', [['', {}, snap.uptimeSec]]);
+  const states = {};
+  for (const s of snap.shards) states[s.state] = (states[s.state] || 0) + 1;
+  metric('workers', 'gauge', 'Workers per state.', Object.entries(states).map(([state, n]) => ['', { state }, n]));
+  metric('worker_restarts_total', 'counter', 'Worker restarts after a crash.', snap.shards.map(s => ['', { worker: s.label }, s.restarts]));
+  metric('rows_total', 'counter', 'Rows processed by outcome (done = shared).', snap.shards.flatMap(s =>
+    Object.entries(s.totals).map(([outcome, n]) => ['', { worker: s.label, outcome }, n])));
+  metric('row_errors_total', 'counter', 'Row errors by reason.', Object.entries(snap.errorReasons).map(([reason, n]) => ['', { reason }, n]));
+  metric('queue_rows', 'gauge', 'Rows waiting to be processed (last poll).', snap.shards.filter(s => s.queued !== null).map(s => ['', { worker: s.label }, s.queued]));
+  metric('last_run_timestamp_seconds', 'gauge', 'End of the last completed run.', snap.shards.filter(s => s.lastRun).map(s =>
+    ['', { worker: s.label }, Math.round(Date.parse(s.lastRun.finishedAt) / 1000)]));
+
+  const ops = Object.entries(api);
+  metric('api_requests_total', 'counter', 'Google API calls by operation and result.', ops.flatMap(([op, a]) =>
+    [['', { op, result: 'ok' }, a.ok], ['', { op, result: 'error' }, a.errors]]));
+  metric('api_retries_total', 'counter', 'Google API calls retried after a rate limit.', ops.map(([op, a]) => ['', { op }, a.retries]));
+  metric('api_latency_seconds', 'histogram', 'Google API call latency.', ops.flatMap(([op, a]) => [
+    ...LATENCY_BUCKETS.map((le, i) => ['_bucket', { op, le }, a.buckets[i]]),
+    ['_bucket', { op, le: '+Inf' }, a.count],
+    ['_sum', { op }, (a.sumMs / 1000).toFixed(3)],
+    ['_count', { op }, a.count]
+  ]));
+  return out.join('\n') + '\n';
+}
+
+const DASHBOARD = `<!DOCTYPE html>
+<html lang="id">
+<head>
+<meta charset="utf-8">
+<title>Certificate Sharing Monitor</title>
+<style>
+  body { font-family: -apple-system, Segoe UI, Roboto, sans-serif; margin: 24px; color: #222; }
+  h1 { font-size: 20px; }
+  .meta { color: #666; font-size: 13px; }
+  .totals { display: flex; gap: 12px; margin: 16px 0; }
+  .totals div { border: 1px solid #ddd; border-radius: 6px; padding: 8px 16px; }
+  .totals b { display: block; font-size: 22px; }
+  table { border-collapse: collapse; width: 100%; font-size: 13px; }
+  th, td { border: 1px solid #ddd; padding: 4px 6px; text-align: left; vertical-align: top; }
+  th { background: #f4f4f4; }
+  .failed td { background: #fdecec; }
+  .restarting td { background: #fff7e0; }
+  pre { background: #f7f7f7; padding: 8px; font-size: 12px; white-space: pre-wrap; }
+</style>
+</head>
+<body>
+<h1>Certificate Sharing — monitor</h1>
+<p class="meta" id="meta">memuat…</p>
+<div class="totals" id="totals"></div>
+<table>
+<thead><tr><th>Worker</th><th>Status</th><th>Progress</th><th>Antrian</th><th>OK</th><th>Skip</th><th>Error</th><th>Restart</th><th>/menit</th><th>Run terakhir</th><th>Aktivitas terakhir</th></tr></thead>
+<tbody id="rows"></tbody>
+</table>
+<h3>Output worker terakhir</h3>
+<pre id="recent"></pre>
+<script>
+function cell(tr, text) { const td = document.createElement('td'); td.textContent = text == null ? '' : String(text); tr.appendChild(td); }
+async function refresh() {
+  try {
+    const snap = await (await fetch('status', { cache: 'no-store' })).json();
+    document.getElementById('meta').textContent = 'mulai ' + snap.startedAt + ' · uptime ' + snap.uptimeSec + 's · restart ' + snap.restarts +
+      (snap.lastError ? ' · error terakhir: [' + snap.lastError.worker + '] ' + snap.lastError.message : '');
+    const totals = document.getElementById('totals');
+    totals.textContent = '';
+    for (const [label, n] of [['Berhasil', snap.totals.done], ['Dilewati', snap.totals.skipped], ['Dicabut', snap.totals.revoked], ['Error', snap.totals.errors], ['Antrian', snap.queued], ['/menit', snap.rowsPerMin]]) {
+      const div = document.createElement('div'); div.textContent = label;
+      const b = document.createElement('b'); b.textContent = n; div.appendChild(b); totals.appendChild(div);
+    }
+    const rows = document.getElementById('rows');
+    rows.textContent = '';
+    for (const s of snap.shards) {
+      const tr = document.createElement('tr'); tr.className = s.state;
+      const run = s.lastRun ? s.lastRun.finishedAt + ' (' + s.lastRun.done + '/' + s.lastRun.total + ', error ' + s.lastRun.errors + ')' : '-';
+      [s.label, s.state === 'restarting' ? 'restart ' + s.restartInSec + 's' : s.state, s.progress.total ? s.progress.value + '/' + s.progress.total : '-',
+        s.queued == null ? '-' : s.queued, s.totals.done, s.totals.skipped, s.totals.errors, s.restarts, s.rowsPerMin, run,
+        (s.state === 'failed' || s.state === 'restarting') ? s.lastError : s.lastActivity].forEach(v => cell(tr, v));
+      rows.appendChild(tr);
+    }
+    document.getElementById('recent').textContent = snap.recent.join('\\n');
+  } catch (e) {
+    document.getElementById('meta').textContent = 'monitor tidak bisa dihubungi: ' + e.message;
+  }
+}
+refresh();
+setInterval(refresh, 5000);
+</script>
+</body>
+</html>
+`;
+
+// Start the server; resolves once listening (rejects e.g. on EADDRINUSE)
+function startStatusServer(supervisor, { port, host = '127.0.0.1' }) {
+  const server = http.createServer((req, res) => {
+    const send = (code, type, body) => {
+      res.writeHead(code, { 'Content-Type': type, 'Cache-Control': 'no-store' });
+      res.end(req.method === 'HEAD' ? undefined : body);
+    };
+    let url;
+    try {
+      url = new URL(req.url, 'http://localhost');
+    } catch (_) {
+      return send(400, 'text/plain; charset=utf-8', 'Bad Request\n');
+    }
+    if (req.method !== 'GET' && req.method !== 'HEAD') return send(405, 'text/plain; charset=utf-8', 'Method Not Allowed\n');
+    const snap = supervisor.snapshot();
+    switch (url.pathname) {
+      case '/health': {
+        const alive = snap.shards.filter(s => s.state !== 'failed' && s.state !== 'stopped').length;
+        return send(alive > 0 ? 200 : 503, 'application/json', JSON.stringify({ status: alive > 0 ? 'ok' : 'down', workers: snap.shards.length, alive, uptimeSec: snap.uptimeSec }));
+      }
+      case '/status':
+        return send(200, 'application/json', JSON.stringify(snap, null, 2));
+      case '/metrics':
+        return send(200, 'text/plain; version=0.0.4; charset=utf-8', toMetrics(snap, supervisor.api));
+      case '/':
+        return send(200, 'text/html; charset=utf-8', DASHBOARD);
+      default:
+        return send(404, 'text/plain; charset=utf-8', 'Not Found\n');
+    }
+  });
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.removeListener('error', reject);
+      resolve(server);
+    });
+  });
+}
+
+module.exports = { startStatusServer, toMetrics };
@@ -0,0 +1,264 @@
+// Keeps monitor workers alive and collects their progress.
+// Each worker is one shard of one profile. A worker that exits unexpectedly is
+// restarted with exponential backoff; too many crashes in a short window marks the
+// shard as failed (crash loop) and it is not restarted again.
+
+const RESTART_DEFAULTS = {
+  baseDelayMs: 2000,      // first restart delay, doubled per consecutive crash
+  maxDelayMs: 300000,     // restart delay cap (5 min)
+  maxRestarts: 5,         // crashes allowed within windowMs before giving up
+  windowMs: 600000,       // crash-loop window (10 min)
+  stableMs: 120000        // a worker running this long resets the backoff
+};
+
+// Exit codes that a restart cannot fix (see EXIT in index.js)
+const FATAL_EXIT_CODES = [2, 4];
+
+const THROUGHPUT_WINDOW_MS = 300000;
+const RECENT_LINES = 8;
+
+// API latency histogram buckets (seconds)
+const LATENCY_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+class WorkerSupervisor {
+  // spawnWorker(shard) returns a ChildProcess (or null); onEvent(message, level) gets status lines,
+  // onOutput(line) every worker output line (prefixed with the shard label)
+  constructor({ spawnWorker, onEvent, onOutput, ...options } = {}) {
+    this.spawnWorker = spawnWorker;
+    this.onEvent = onEvent || (() => {});
+    this.onOutput = onOutput || (() => {});
+    this.options = { ...RESTART_DEFAULTS, ...options };
+    this.shards = [];
+    this.recent = [];
+    this.stopping = false;
+    this.startedAt = Date.now();
+    // Counters since monitor start (all workers): API calls per op, row errors per reason
+    this.api = {};
+    this.errorReasons = {};
+    this.lastError = null;
+  }
+
+  setError(shard, message) {
+    shard.lastError = message;
+    this.lastError = { at: new Date().toISOString(), worker: shard.label, message };
+  }
+
+  add(profile, index, total) {
+    const shard = {
+      profile, index, total,
+      label: `${profile === 'default' ? '' : `${profile}/`}s${index}`,
+      child: null, pid: null,
+      state: 'starting',        // starting | running | idle | restarting | failed | stopped
+      startedAt: null, restartAt: null,
+      restarts: 0, consecutive: 0, crashes: [],
+      progress: { value: 0, total: 0, status: '' },
+      totals: { done: 0, skipped: 0, errors: 0, revoked: 0 },
+      queued: null, lastRun: null,
+      rowTimes: [],
+      lastActivityAt: null, lastActivity: '', lastError: '',
+      timer: null
+    };
+    this.shards.push(shard);
+    this.start(shard);
+    return shard;
+  }
+
+  start(shard) {
+    shard.timer = null;
+    shard.restartAt = null;
+    const child = this.spawnWorker(shard);
+    if (!child) {
+      shard.state = 'failed';
+      this.setError(shard, 'worker tidak bisa dijalankan');
+      return;
+    }
+    shard.child = child;
+    shard.pid = child.pid;
+    shard.state = 'running';
+    shard.startedAt = Date.now();
+    child.on('message', (msg) => this.handleMessage(shard, msg));
+    for (const stream of [child.stdout, child.stderr]) {
+      if (stream) this.captureOutput(shard, stream);
+    }
+    child.on('exit', (code, signal) => this.handleExit(shard, code, signal));
+  }
+
+  // Worker output: kept as last activity and recent lines instead of printed as is
+  // (errors come from the structured row/error messages, not from the text)
+  captureOutput(shard, stream) {
+    let buffer = '';
+    stream.setEncoding('utf8');
+    stream.on('data', (chunk) => {
+      buffer += chunk;
+      const lines = buffer.split(/\r?\n|\r/);
+      buffer = lines.pop();
+      for (const raw of lines) {
+        const line = raw.replace(/\u001b\[[0-9;?]*[A-Za-z]/g, '').trim();
+        if (!line || /^[═║╔╗╚╝─]/.test(line)) continue;
+        this.pushRecent(`[${shard.label}] ${line}`);
+        this.onOutput(`[${shard.label}] ${line}`);
+        shard.lastActivityAt = Date.now();
+        shard.lastActivity = line;
+      }
+    });
+  }
+
+  pushRecent(line) {
+    this.recent.push(line);
+    if (this.recent.length > RECENT_LINES) this.recent.shift();
+  }
+
+  // Progress messages sent by index.js (report())
+  handleMessage(shard, msg) {
+    if (!msg || msg.type !== 'progress') return;
+    shard.lastActivityAt = Date.now();
+    if (msg.event === 'bar') {
+      shard.state = msg.status === 'idle' ? 'idle' : 'running';
+      shard.progress = { value: msg.value || 0, total: msg.total || 0, status: msg.status || '' };
+      if (msg.status) shard.lastActivity = msg.status;
+    } else if (msg.event === 'row') {
+      if (shard.totals[msg.kind] !== undefined) shard.totals[msg.kind]++;
+      shard.rowTimes.push(Date.now());
+      shard.lastActivity = `baris ${msg.row} ${msg.nama || ''}: ${msg.status || msg.kind}`.trim();
+      if (msg.kind === 'errors') {
+        this.setError(shard, shard.lastActivity);
+        const reason = (msg.reasons && msg.reasons[0]) || (msg.httpStatus ? `http_${msg.httpStatus}` : 'other');
+        this.errorReasons[reason] = (this.errorReasons[reason] || 0) + 1;
+      }
+    } else if (msg.event === 'queue') {
+      shard.queued = msg.queued;
+    } else if (msg.event === 'run') {
+      const { type, event, ...summary } = msg;
+      shard.lastRun = summary;
+    } else if (msg.event === 'api') {
+      this.recordApiCall(msg);
+    } else if (msg.event === 'error') {
+      this.setError(shard, msg.message || 'error');
+      shard.lastActivity = shard.lastError;
+    }
+  }
+
+  recordApiCall({ op, ms, ok, retry }) {
+    const key = String(op || 'unknown');
+    const a = this.api[key] || (this.api[key] = { ok: 0, errors: 0, retries: 0, count: 0, sumMs: 0, buckets: LATENCY_BUCKETS.map(() => 0) });
+    a.count++;
+    a.sumMs += Number(ms) || 0;
+    if (ok) a.ok++; else a.errors++;
+    if (retry) a.retries++;
+    LATENCY_BUCKETS.forEach((le, i) => { if ((Number(ms) || 0) / 1000 <= le) a.buckets[i]++; });
+  }
+
+  handleExit(shard, code, signal) {
+    shard.child = null;
+    shard.pid = null;
+    if (this.stopping) {
+      shard.state = 'stopped';
+      return;
+    }
+    const now = Date.now();
+    const ranMs = now - (shard.startedAt || now);
+    const reason = signal ? `signal=${signal}` : `code=${code}`;
+
+    if (FATAL_EXIT_CODES.includes(code)) {
+      shard.state = 'failed';
+      this.setError(shard, `berhenti (${reason}), cek konfigurasi/kredensial`);
+      this.onEvent(`Worker ${shard.label} berhenti ${reason} — tidak di-restart (konfigurasi/kredensial)`, 'error');
+      return this.checkAllFailed();
+    }
+
+    if (ranMs >= this.options.stableMs) shard.consecutive = 0;
+    shard.crashes = shard.crashes.filter(t => now - t < this.options.windowMs);
+    shard.crashes.push(now);
+    if (shard.crashes.length > this.options.maxRestarts) {
+      shard.state = 'failed';
+      this.setError(shard, `crash loop: ${shard.crashes.length}x dalam ${Math.round(this.options.windowMs / 60000)} menit`);
+      this.onEvent(`Worker ${shard.label} ${shard.lastError} — tidak di-restart lagi`, 'error');
+      return this.checkAllFailed();
+    }
+
+    shard.consecutive++;
+    const delay = Math.min(this.options.maxDelayMs, this.options.baseDelayMs * Math.pow(2, shard.consecutive - 1));
+    shard.state = 'restarting';
+    shard.restartAt = now + delay;
+    this.setError(shard, `exit ${reason}`);
+    this.onEvent(`Worker ${shard.label} exit ${reason}, restart dalam ${Math.ceil(delay / 1000)}s`, 'warn');
+    shard.timer = setTimeout(() => {
+      if (this.stopping) return;
+      shard.restarts++;
+      this.start(shard);
+    }, delay);
+  }
+
+  checkAllFailed() {
+    if (this.shards.every(s => s.state === 'failed')) {
+      this.onEvent('Semua worker gagal.', 'fatal');
+    }
+  }
+
+  // Rows per minute over the last 5 minutes
+  throughput(shard, now = Date.now()) {
+    shard.rowTimes = shard.rowTimes.filter(t => now - t < THROUGHPUT_WINDOW_MS);
+    const windowMs = Math.max(60000, Math.min(THROUGHPUT_WINDOW_MS, now - this.startedAt));
+    return shard.rowTimes.length / (windowMs / 60000);
+  }
+
+  // Plain object view of all shards (console view, status endpoints)
+  snapshot() {
+    const now = Date.now();
+    const shards = this.shards.map(s => ({
+      label: s.label,
+      profile: s.profile,
+      shard: `${s.index}/${s.total}`,
+      state: s.state,
+      pid: s.pid,
+      restarts: s.restarts,
+      restartInSec: s.restartAt ? Math.max(0, Math.ceil((s.restartAt - now) / 1000)) : null,
+      progress: { ...s.progress },
+      totals: { ...s.totals },
+      queued: s.queued,
+      lastRun: s.lastRun,
+      rowsPerMin: Number(this.throughput(s, now).toFixed(1)),
+      lastActivityAt: s.lastActivityAt ? new Date(s.lastActivityAt).toISOString() : null,
+      lastActivity: s.lastActivity,
+      lastError: s.lastError
+    }));
+    const totals = { done: 0, skipped: 0, errors: 0, revoked: 0 };
+    for (const s of shards) for (const k of Object.keys(totals)) totals[k] += s.totals[k];
+    return {
+      startedAt: new Date(this.startedAt).toISOString(),
+      uptimeSec: Math.round((now - this.startedAt) / 1000),
+      totals,
+      rowsPerMin: Number(shards.reduce((sum, s) => sum + s.rowsPerMin, 0).toFixed(1)),
+      restarts: shards.reduce((sum, s) => sum + s.restarts, 0),
+      queued: shards.reduce((sum, s) => sum + (s.queued || 0), 0),
+      lastError: this.lastError,
+      errorReasons: { ...this.errorReasons },
+      shards,
+      recent: [...this.recent]
+    };
+  }
+
+  // Message to every running worker (e.g. webhook wake-up)
+  broadcast(msg) {
+    let sent = 0;
+    for (const s of this.shards) {
+      try {
+        if (s.child && s.child.connected) {
+          s.child.send(msg);
+          sent++;
+        }
+      } catch (_) {}
+    }
+    return sent;
+  }
+
+  stop() {
+    this.stopping = true;
+    for (const s of this.shards) {
+      if (s.timer) clearTimeout(s.timer);
+      try { if (s.child) s.child.kill('SIGTERM'); } catch (_) {}
+    }
+  }
+}
+
+module.exports = { WorkerSupervisor, RESTART_DEFAULTS, LATENCY_BUCKETS };
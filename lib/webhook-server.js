@@ -0,0 +1,113 @@
+// Inbound trigger for loop mode (form submit → share right away):
+//   POST /trigger       wake the loop now (body ignored)
+//   POST /participants  wake the loop and process this row first: {"row": 12} or {"email": "a@b.c"}
+// Every request must carry the shared secret, either
+//   Authorization: Bearer <secret>
+// or an HMAC signature of "<timestamp>.<raw body>":
+//   X-Timestamp: <unix seconds>
+//   X-Signature: sha256=<hex HMAC-SHA256 with the secret>
+const http = require('http');
+const crypto = require('crypto');
+
+const MAX_BODY_BYTES = 64 * 1024;
+const MAX_CLOCK_SKEW_SEC = 300;
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+function sign(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Error text, or null when the request is authentic
+function checkAuth(req, body, secret) {
+  const auth = req.headers.authorization || '';
+  if (auth.startsWith('Bearer ')) {
+    return safeEqual(auth.slice(7).trim(), secret) ? null : 'invalid token';
+  }
+  const signature = req.headers['x-signature'];
+  const timestamp = Number(req.headers['x-timestamp']);
+  if (!signature || !timestamp) return 'missing signature';
+  if (Math.abs(Date.now() / 1000 - timestamp) > MAX_CLOCK_SKEW_SEC) return 'timestamp too old';
+  return safeEqual(signature, sign(secret, req.headers['x-timestamp'], body)) ? null : 'invalid signature';
+}
+
+// { row, email } from a /participants body; throws on bad input
+function parseParticipant(body) {
+  let data;
+  try {
+    data = JSON.parse(body || '{}');
+  } catch (_) {
+    throw new Error('body is not valid JSON');
+  }
+  const row = data.row === undefined || data.row === null || data.row === '' ? null : Number(data.row);
+  const email = String(data.email || '').trim().toLowerCase();
+  if (row !== null && (!Number.isInteger(row) || row < 2)) throw new Error('row must be a sheet row number (2 or higher)');
+  if (row === null && !email) throw new Error('row or email is required');
+  return { row, email };
+}
+
+// Start the server; onTrigger({ row, email } | {}) is called for every accepted request.
+// Resolves once listening (rejects e.g. on EADDRINUSE)
+function startWebhookServer({ port, host = '127.0.0.1', secret, onTrigger, onRejected }) {
+  if (!secret) return Promise.reject(new Error('webhookSecret belum diset'));
+  const server = http.createServer((req, res) => {
+    const send = (code, payload) => {
+      res.writeHead(code, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    };
+    let url;
+    try {
+      url = new URL(req.url, 'http://localhost');
+    } catch (_) {
+      return send(400, { error: 'bad request' });
+    }
+    if (!['/trigger', '/participants'].includes(url.pathname)) return send(404, { error: 'not found' });
+    if (req.method !== 'POST') return send(405, { error: 'method not allowed' });
+
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        send(413, { error: 'body too large' });
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (res.writableEnded) return;
+      const body = Buffer.concat(chunks).toString('utf8');
+      const authError = checkAuth(req, body, secret);
+      if (authError) {
+        if (onRejected) onRejected(`${url.pathname}: ${authError}`, req.socket.remoteAddress);
+        return send(401, { error: 'unauthorized' });
+      }
+      if (url.pathname === '/trigger') {
+        onTrigger({});
+        return send(202, { accepted: true });
+      }
+      let participant;
+      try {
+        participant = parseParticipant(body);
+      } catch (e) {
+        return send(400, { error: e.message });
+      }
+      onTrigger(participant);
+      return send(202, { accepted: true, ...participant });
+    });
+  });
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.removeListener('error', reject);
+      resolve(server);
+    });
+  });
+}
+
+module.exports = { startWebhookServer, sign };
@@ -3,39 +3,62 @@
 const fs = require('fs');
 const path = require('path');
 const chalk = require('chalk');
+const readline = require('readline');
 const { spawn } = require('child_process');
 const inquirer = require('inquirer');
+const { RateLimiterServer } = require('./lib/rate-limiter');
+const { WorkerSupervisor, RESTART_DEFAULTS } = require('./lib/supervisor');
+const { startStatusServer } = require('./lib/status-server');
+const { startWebhookServer } = require('./lib/webhook-server');
 
 // Single-entry monitor that wraps the main logic from index.js
-// Ensures: polling every 30s by default, single instance via lock file.
+// Ensures: polling every 30s by default, single instance per profile via lock file,
+// crashed workers restarted with backoff (lib/supervisor.js).
 
 if (!process.env.POLL_INTERVAL) process.env.POLL_INTERVAL = '30';
 if (!process.env.LOOP) process.env.LOOP = 'true';
 
-const LOCK_PATH = '/tmp/certificate-sharing-monitor.lock';
+const DEFAULT_PROFILE = 'default';
 
-function acquireLock() {
+function lockPath(profile) {
+  return profile === DEFAULT_PROFILE
+    ? '/tmp/certificate-sharing-monitor.lock'
+    : `/tmp/certificate-sharing-monitor-${profile}.lock`;
+}
+
+// Token buckets shared by every worker (created in startMonitor)
+let limiter = null;
+
+// Combined console view on a terminal; plain prefixed lines otherwise (systemd, pipes)
+const liveView = !!process.stdout.isTTY && process.env.MONITOR_VIEW !== 'plain';
+
+const heldLocks = new Set();
+process.on('exit', () => {
+  for (const file of heldLocks) { try { fs.unlinkSync(file); } catch (_) {} }
+});
+
+// Lock one profile; false when another monitor already runs it
+function acquireLock(profile) {
+  const file = lockPath(profile);
   try {
-    if (fs.existsSync(LOCK_PATH)) {
-      const pid = parseInt(fs.readFileSync(LOCK_PATH, 'utf8'));
-      if (pid && !Number.isNaN(pid)) {
+    if (fs.existsSync(file)) {
+      const pid = parseInt(fs.readFileSync(file, 'utf8'));
+      if (pid && !Number.isNaN(pid) && pid !== process.pid) {
         try {
           process.kill(pid, 0);
-          console.log(chalk.red(`Another monitor is running (pid=${pid}). Exiting.`));
-          process.exit(1);
+          console.log(chalk.red(`Another monitor is running profile "${profile}" (pid=${pid}).`));
+          return false;
         } catch (_) {
           // stale lock, continue
         }
       }
     }
-    fs.writeFileSync(LOCK_PATH, String(process.pid));
-    const cleanup = () => { try { fs.unlinkSync(LOCK_PATH); } catch (_) {} };
-    process.on('exit', cleanup);
-    process.on('SIGINT', () => { cleanup(); process.exit(0); });
-    process.on('SIGTERM', () => { cleanup(); process.exit(0); });
+    fs.writeFileSync(file, String(process.pid));
+    heldLocks.add(file);
   } catch (e) {
     console.log(chalk.yellow(`⚠️  Cannot create lock file: ${e.message}`));
   }
+  return true;
 }
 
 function findWorkerBinary() {
@@ -58,16 +81,20 @@ function findWorkerBinary() {
   return null;
 }
 
-function runWorker(shardIndex, shardTotal) {
+// Spawn one worker (called by the supervisor on start and restart)
+function runWorker({ profile, index: shardIndex, total: shardTotal }) {
   const env = { 
     ...process.env, 
+    PROFILE: profile,
     SHARD_INDEX: String(shardIndex), 
     SHARD_TOTAL: String(shardTotal),
     // Batching 20 per worker as requested
     MAX_PER_RUN: process.env.MAX_PER_RUN || '20',
     // Ambil batch berikutnya dengan jeda kecil
     POLL_INTERVAL: process.env.POLL_INTERVAL || '5',
-    LOOP: process.env.LOOP || 'true'
+    LOOP: process.env.LOOP || 'true',
+    SHARED_RATE_LIMIT: 'true',
+    SUPERVISED: 'true'
   };
   let child;
   if (process.pkg) {
@@ -76,21 +103,89 @@ function runWorker(shardIndex, shardTotal) {
       console.log(chalk.red('Worker binary tidak ditemukan di folder yang sama. Pastikan binary certificate-sharing-* ada di sebelah monitor.'));
       return null;
     }
-    child = spawn(workerBin, [], { stdio: ['ignore', 'inherit', 'inherit'], env });
+    child = spawn(workerBin, [], { stdio: ['ignore', 'pipe', 'pipe', 'ipc'], env });
   } else {
-    child = spawn(process.execPath, ['index.js'], { stdio: ['ignore', 'inherit', 'inherit'], env });
+    child = spawn(process.execPath, [path.join(__dirname, 'index.js')], { stdio: ['ignore', 'pipe', 'pipe', 'ipc'], env });
   }
-  child.on('exit', (code, signal) => {
-    console.log(chalk.yellow(`Worker ${shardIndex}/${shardTotal} exited code=${code} signal=${signal}`));
-  });
+  if (limiter) limiter.attach(child);
   return child;
 }
 
-(async () => {
-  acquireLock();
+function formatAge(iso) {
+  if (!iso) return '-';
+  const sec = Math.max(0, Math.round((Date.now() - Date.parse(iso)) / 1000));
+  if (sec < 60) return `${sec}s`;
+  if (sec < 3600) return `${Math.floor(sec / 60)}m`;
+  return `${Math.floor(sec / 3600)}j`;
+}
+
+function fit(text, width) {
+  const s = String(text || '');
+  return s.length > width ? s.slice(0, width - 1) + '…' : s.padEnd(width);
+}
+
+const STATE_COLORS = { running: chalk.green, idle: chalk.cyan, starting: chalk.gray, restarting: chalk.yellow, failed: chalk.red, stopped: chalk.gray };
+
+// One screen: totals, a line per shard, monitor events and recent worker output
+function renderView(snap, events) {
+  const width = Math.max(80, process.stdout.columns || 100);
+  const t = snap.totals;
+  const lines = [
+    chalk.bold('CERTIFICATE SHARING MONITOR') + chalk.gray(`  uptime ${formatAge(snap.startedAt)} · ${snap.shards.length} worker · restart ${snap.restarts}`),
+    `✅ ${chalk.green(t.done)}  ⏭️  ${chalk.yellow(t.skipped)}  🚫 ${chalk.magenta(t.revoked)}  ❌ ${chalk.red(t.errors)}  ⚡ ${snap.rowsPerMin}/menit`,
+    '',
+    chalk.gray(`${fit('WORKER', 14)} ${fit('STATUS', 12)} ${fit('PROGRESS', 10)} ${fit('OK', 5)} ${fit('SKIP', 5)} ${fit('ERR', 5)} ${fit('/MENIT', 7)} ${fit('AKTIF', 6)} AKTIVITAS TERAKHIR`)
+  ];
+  for (const s of snap.shards) {
+    const state = s.state === 'restarting' ? `restart ${s.restartInSec}s` : s.state;
+    const color = STATE_COLORS[s.state] || chalk.white;
+    const progress = s.progress.total ? `${s.progress.value}/${s.progress.total}` : '-';
+    const activity = s.state === 'failed' || s.state === 'restarting' ? s.lastError : s.lastActivity;
+    const fixed = `${fit(s.label, 14)} ${color(fit(state, 12))} ${fit(progress, 10)} ${fit(s.totals.done, 5)} ${fit(s.totals.skipped, 5)} ${fit(s.totals.errors, 5)} ${fit(s.rowsPerMin, 7)} ${fit(formatAge(s.lastActivityAt), 6)} `;
+    lines.push(fixed + fit(activity, Math.max(10, width - 75)));
+  }
+  if (events.length) {
+    lines.push('', chalk.gray('Monitor:'));
+    for (const e of events) lines.push(fit(e, width - 1));
+  }
+  if (snap.recent.length) {
+    lines.push('', chalk.gray('Output worker terakhir:'));
+    for (const r of snap.recent) lines.push(chalk.gray(fit(r, width - 1)));
+  }
+  lines.push('', chalk.gray('Ctrl+C untuk berhenti'));
+  readline.cursorTo(process.stdout, 0, 0);
+  readline.clearScreenDown(process.stdout);
+  process.stdout.write(lines.join('\n') + '\n');
+}
+
+// Start N sharded workers per profile; options.workers overrides WORKER_COUNT,
+// options.profiles (or PROFILES=a,b / PROFILE) picks the profiles to run,
+// options.maxRestarts (WORKER_MAX_RESTARTS) the crash-loop limit,
+// options.statusPort (STATUS_PORT / statusPort) turns on the HTTP status server,
+// options.webhookPort (WEBHOOK_PORT / webhookPort) the webhook trigger for all workers
+async function startMonitor(options = {}) {
+  const requested = options.profiles && options.profiles.length
+    ? options.profiles
+    : String(process.env.PROFILES || process.env.PROFILE || DEFAULT_PROFILE).split(',').map(p => p.trim()).filter(Boolean);
+  const { config } = require('./index');
+  const profiles = [];
+  for (const profile of new Set(requested)) {
+    if (!config.profileExists(profile)) {
+      console.log(chalk.red(`Profil tidak ditemukan: ${profile}`));
+      continue;
+    }
+    if (acquireLock(profile)) profiles.push(profile);
+  }
+  if (profiles.length === 0) {
+    console.log(chalk.red('Tidak ada profil yang bisa dijalankan. Exiting.'));
+    process.exit(1);
+  }
 
-  // Tanya user jumlah worker jika tidak diset lewat env
-  let shards = Number(process.env.WORKER_COUNT || NaN);
+  // Tanya user jumlah worker jika tidak diset lewat opsi/env
+  let shards = Number(options.workers || process.env.WORKER_COUNT || NaN);
+  if ((!Number.isFinite(shards) || shards <= 0) && !process.stdin.isTTY) {
+    shards = 3; // non-interaktif: default
+  }
   if (!Number.isFinite(shards) || shards <= 0) {
     const answer = await inquirer.prompt([{
       type: 'number',
@@ -105,22 +200,118 @@ function runWorker(shardIndex, shardTotal) {
     shards = Number(answer.workers);
   }
 
-  const children = [];
+  // Monitor messages: kept on screen in the live view, printed otherwise
+  const events = [];
+  const colors = { warn: chalk.yellow, error: chalk.red, fatal: chalk.red };
+  const note = (message, level = 'info') => {
+    const line = `${new Date().toLocaleTimeString()} ${message}`;
+    if (liveView) {
+      events.push((colors[level] || chalk.white)(line));
+      if (events.length > 5) events.shift();
+    } else {
+      console.log((colors[level] || chalk.white)(line));
+    }
+  };
 
-  console.log(chalk.cyan(`Launching ${shards} workers with sharding...`));
-  for (let i = 0; i < shards; i++) {
-    children.push(runWorker(i, shards));
+  const rates = config.get('rateLimits') || {};
+  limiter = new RateLimiterServer(rates, {
+    onBackoff: (bucket, ms) => note(`⏸️  Rate limit (${bucket}): semua worker jeda ${Math.round(ms / 1000)}s`, 'warn')
+  });
+  note(`Rate limit bersama: ${Object.entries(limiter.buckets).map(([name, b]) => `${name}=${b.rate}/s`).join(', ')}`);
+
+  let view = null;
+  const supervisor = new WorkerSupervisor({
+    spawnWorker: runWorker,
+    maxRestarts: Number(options.maxRestarts || process.env.WORKER_MAX_RESTARTS) || RESTART_DEFAULTS.maxRestarts,
+    onOutput: liveView ? null : (line) => console.log(line),
+    onEvent: (message, level) => {
+      note(message, level);
+      if (level === 'fatal') {
+        shutdown();
+        if (liveView) renderView(supervisor.snapshot(), events);
+        console.log(chalk.red('Semua worker berhenti. Exiting.'));
+        process.exit(1);
+      }
+    }
+  });
+
+  for (const profile of profiles) {
+    const label = profile === DEFAULT_PROFILE ? '' : ` for profile "${profile}"`;
+    note(`Launching ${shards} workers with sharding${label}...`);
+    for (let i = 0; i < shards; i++) {
+      supervisor.add(profile, i, shards);
+    }
+  }
+
+  // Optional HTTP status server (/health, /status, /metrics, dashboard)
+  let statusServer = null;
+  const statusPort = Number(options.statusPort || process.env.STATUS_PORT || config.get('statusPort')) || 0;
+  if (statusPort > 0) {
+    const host = options.statusHost || process.env.STATUS_HOST || config.get('statusHost') || '127.0.0.1';
+    try {
+      statusServer = await startStatusServer(supervisor, { port: statusPort, host });
+      note(`Status: http://${host}:${statusPort}/ (health, status, metrics)`);
+    } catch (e) {
+      note(`⚠️  Status server tidak bisa dijalankan di ${host}:${statusPort}: ${e.message}`, 'warn');
+    }
+  }
+
+  // Optional webhook trigger: wakes every worker, the shard owning the row processes it
+  let webhookServer = null;
+  const webhookPort = Number(options.webhookPort || process.env.WEBHOOK_PORT || config.get('webhookPort')) || 0;
+  if (webhookPort > 0) {
+    const host = options.webhookHost || process.env.WEBHOOK_HOST || config.get('webhookHost') || '127.0.0.1';
+    try {
+      webhookServer = await startWebhookServer({
+        port: webhookPort,
+        host,
+        secret: process.env.WEBHOOK_SECRET || config.get('webhookSecret'),
+        onTrigger: (request) => {
+          const sent = supervisor.broadcast({ type: 'wake', ...request });
+          note(`🔔 Webhook${request.row ? ` row=${request.row}` : ''}${request.email ? ` email=${request.email}` : ''} → ${sent} worker`);
+        },
+        onRejected: (reason, ip) => note(`Webhook ditolak dari ${ip}: ${reason}`, 'warn')
+      });
+      note(`Webhook: http://${host}:${webhookPort}/trigger dan /participants`);
+    } catch (e) {
+      note(`⚠️  Webhook tidak bisa dijalankan di ${host}:${webhookPort}: ${e.message}`, 'warn');
+    }
   }
 
+  if (liveView) {
+    view = setInterval(() => renderView(supervisor.snapshot(), events), 1000);
+    renderView(supervisor.snapshot(), events);
+  } else {
+    // Plain output: totals once a minute
+    view = setInterval(() => {
+      const snap = supervisor.snapshot();
+      const t = snap.totals;
+      const states = snap.shards.map(s => `${s.label}=${s.state}`).join(' ');
+      console.log(chalk.gray(`[monitor] done=${t.done} skipped=${t.skipped} revoked=${t.revoked} errors=${t.errors} rate=${snap.rowsPerMin}/min restarts=${snap.restarts} ${states}`));
+    }, 60000);
+  }
+
+  function shutdown() {
+    if (view) clearInterval(view);
+    if (statusServer) statusServer.close();
+    if (webhookServer) webhookServer.close();
+    limiter.stop();
+    supervisor.stop();
+  }
   const cleanup = () => {
+    shutdown();
     console.log(chalk.gray('Shutting down workers...'));
-    for (const c of children) {
-      try { c.kill('SIGTERM'); } catch (_) {}
-    }
   };
   process.on('SIGINT', () => { cleanup(); process.exit(0); });
   process.on('SIGTERM', () => { cleanup(); process.exit(0); });
-})().catch(err => {
-  console.error(chalk.red(`Fatal: ${err.message}`));
-  process.exit(1);
-});
+  return supervisor;
+}
+
+if (require.main === module) {
+  startMonitor().catch(err => {
+    console.error(chalk.red(`Fatal: ${err.message}`));
+    process.exit(1);
+  });
+}
+
+module.exports = { startMonitor };